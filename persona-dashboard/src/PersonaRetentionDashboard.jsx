@@ -26,37 +26,112 @@ import {
 } from "@/components/ui/table";
 import {
   ResponsiveContainer,
-  LineChart,
   Line,
+  Area,
   XAxis,
   YAxis,
   Tooltip,
   Legend,
   CartesianGrid,
-  BarChart,
+  ComposedChart,
   Bar,
 } from "recharts";
 import { motion } from "framer-motion";
 import {
   Download,
   Upload,
-  ShieldAlert,
-  Flame,
-  Repeat,
-  Radar,
-  Brain,
-  Clock,
-  Lightbulb,
   Info,
   Maximize2,
   Minimize2,
+  Columns3,
+  X,
+  Users,
 } from "lucide-react";
+import ColumnMappingDialog from "@/components/ColumnMappingDialog";
+import ImportReportCard from "@/components/ImportReportCard";
+import KeywordRulesInput from "@/components/KeywordRulesInput";
+import ScoreBreakdown from "@/components/ScoreBreakdown";
+import FeedbackText from "@/components/FeedbackText";
+import PersonaOverrideSelect from "@/components/PersonaOverrideSelect";
+import GoldSetCard from "@/components/GoldSetCard";
+import ClassifierCard from "@/components/ClassifierCard";
+import PersonaEditor from "@/components/PersonaEditor";
+import KeywordConfigPanel from "@/components/KeywordConfigPanel";
+import NormalizationSettings from "@/components/NormalizationSettings";
+import KeywordDiscoveryCard from "@/components/KeywordDiscoveryCard";
+import KeywordAnalyticsCard from "@/components/KeywordAnalyticsCard";
+import CohortCard from "@/components/CohortCard";
+import TransitionCard from "@/components/TransitionCard";
+import UserJourneyPanel from "@/components/UserJourneyPanel";
+import UserSearch from "@/components/UserSearch";
+import { personaIcon } from "@/components/personaIcons";
+import { InfoRow } from "@/components/InfoRow";
+import { Pill } from "@/components/Pill";
+import { downloadCSV, downloadJSON } from "@/lib/download";
+import { usePipelineWorker } from "@/hooks/usePipelineWorker";
+import { norm, pickWeightedPersona } from "@/lib/pipeline";
+import { compileKeywordPacks } from "@/lib/rules";
+import { clearOverrides, loadOverrides, overrideFor, overrideKey, setOverride } from "@/lib/overrides";
+import { evaluatePredictions } from "@/lib/evaluation";
+import { loadModel, storeModel, trainModel } from "@/lib/classifier";
+import { loadNormalization, NORMALIZATION_STEPS, storeNormalization } from "@/lib/normalize";
+import {
+  countChangeTest,
+  estimatePriorStrength,
+  shrinkRate,
+  SIGNIFICANCE_LEVEL,
+  twoProportionTest,
+  wilsonInterval,
+} from "@/lib/stats";
+import {
+  DEFAULT_KEYWORDS,
+  DEFAULT_PERSONAS,
+  normalizeKeywordPacks,
+  personaByKey,
+  personaColor,
+  personaLabel,
+  reportSegments,
+  syncKeywords,
+  ALL_USERS,
+  UNCLASSIFIED,
+} from "@/lib/personas";
+import { LANGUAGES, UNDETERMINED, languageLabel } from "@/lib/language";
+import {
+  configFile,
+  configLabel,
+  deleteConfig,
+  findVersion,
+  importConfig,
+  loadActiveConfig,
+  loadConfigs,
+  loadDraft,
+  sameAsVersion,
+  saveConfigVersion,
+  storeActiveConfig,
+  storeDraft,
+} from "@/lib/keywordConfigs";
+import { DEFAULT_GRANULARITY, GRANULARITIES, granularityMeta } from "@/lib/periods";
+import { userTimeline } from "@/lib/journey";
+import { DEFAULT_TIME_ZONE, timeZoneOptions } from "@/lib/dates";
+import { SPREADSHEET_ACCEPT } from "@/lib/spreadsheet";
+import { JSON_ACCEPT } from "@/lib/jsonImport";
+import {
+  deletePreset,
+  findPreset,
+  guessActivityMapping,
+  guessMapping,
+  isActivityMappingValid,
+  isMappingValid,
+  loadPresets,
+  savePreset,
+} from "@/lib/columnMapping";
 
 /**
  * Persona Retention Dashboard
- * - Upload a CSV of user-month aggregates (recommended) OR raw text entries.
- * - Classifies dominant persona per user per month based on keyword groups.
- * - Computes next-month retention per persona, plus MoM deltas.
+ * - Upload feedback (CSV, Excel/ODS or JSON; user-period aggregates or raw entries), map its columns.
+ * - Classifies each user-period into user-defined personas with keyword rules or a trained classifier.
+ * - Reports next-period retention per persona against the All users baseline, with trends, cohorts,
+ *   transitions and per-user journeys. The lib/ modules document the details.
  *
  * Expected aggregate CSV columns (recommended):
  *   user_id, month, text, active_next_month
@@ -70,328 +145,56 @@ import {
  * where created_at: ISO datetime. Month is derived.
  */
 
-// --- Persona model (dominant priority):
-const PERSONAS = [
-  {
-    key: "trust_erosion",
-    label: "Trust erosion",
-    priority: 1,
-    icon: ShieldAlert,
-    description: "Credibility damage: predicts retention loss.",
-  },
-  {
-    key: "emotional",
-    label: "Breaking point",
-    priority: 2,
-    icon: Flame,
-    description: "Late-stage frustration: often right before disengagement.",
-  },
-  {
-    key: "escalation",
-    label: "Escalation & fatigue",
-    priority: 3,
-    icon: Repeat,
-    description: "Repeated reporting / fatigue: power-complainer risk.",
-  },
-  {
-    key: "reliability",
-    label: "Reliability & predictability",
-    priority: 4,
-    icon: Radar,
-    description: "Inconsistent behavior / outages: credibility erosion channel.",
-  },
-  {
-    key: "overload",
-    label: "Cognitive overload",
-    priority: 5,
-    icon: Brain,
-    description: "System logic confusion: fixable but dangerous if ignored.",
-  },
-  {
-    key: "veteran",
-    label: "Veteran & habit",
-    priority: 6,
-    icon: Clock,
-    description: "High-LTV users signalling dependency / routine.",
-  },
-  {
-    key: "suggestion",
-    label: "Suggestion-stage",
-    priority: 7,
-    icon: Lightbulb,
-    description: "Constructive drift: early warning when repeated.",
-  },
-];
-
-// --- Persona colors (consistent across charts & UI)
-const PERSONA_COLORS = {
-  trust_erosion: "#ef4444", // red-500
-  emotional: "#f97316", // orange-500
-  escalation: "#eab308", // yellow-500
-  reliability: "#3b82f6", // blue-500
-  overload: "#8b5cf6", // violet-500
-  veteran: "#10b981", // emerald-500
-  suggestion: "#06b6d4", // cyan-500
-};
-
-const personaColor = (key) => PERSONA_COLORS[key] || "#64748b"; // slate-500 fallback
-
-// --- Keyword dictionaries (Dutch-focused, editable inline)
-const DEFAULT_KEYWORDS = {
-  trust_erosion: [
-    "vertrouwen",
-    "betrouwbaar",
-    "onbetrouwbaar",
-    "ik reken hierop",
-    "ik durf niet",
-    "kan hier niet op vertrouwen",
-    "onzeker",
-    "voelt niet veilig",
-    "niet veilig",
-  ],
-  veteran: [
-    "al jaren",
-    "dagelijks",
-    "elke rit",
-    "altijd gebruikt",
-    "sinds het begin",
-    "onderdeel van mijn routine",
-    "ik ben afhankelijk",
-    "afhankelijk",
-    "routine",
-  ],
-  reliability: [
-    "onvoorspelbaar",
-    "inconsistent",
-    "werkt soms",
-    "soms wel",
-    "soms niet",
-    "wisselend",
-    "niet consequent",
-    "foutmeldingen",
-    "valt uit",
-    "crash",
-    "loopt vast",
-  ],
-  escalation: [
-    "weer",
-    "opnieuw",
-    "al vaker gemeld",
-    "niet de eerste keer",
-    "al meerdere keren",
-    "nog steeds",
-    "al eens",
-    "al gemeld",
-  ],
-  overload: [
-    "ik snap niet waarom",
-    "onduidelijk",
-    "logica ontbreekt",
-    "waarom doet hij dit",
-    "niet uit te leggen",
-    "tegenstrijdig",
-    "klopt niet",
-  ],
-  emotional: [
-    "frustrerend",
-    "klaar mee",
-    "irritant",
-    "teleurgesteld",
-    "dit werkt zo niet",
-    "zo wordt het lastig",
-    "word ik gek van",
-  ],
-  suggestion: [
-    "zou handig zijn",
-    "misschien kunnen jullie",
-    "ik mis",
-    "ik vraag me af waarom",
-    "zou fijn zijn",
-    "kunnen jullie",
-    "idee:",
-  ],
-};
-
-// --- Helpers
-const norm = (s) => (s || "").toString().toLowerCase();
-
-function pickSuggestionText(obj) {
-    // Exact column (Typeform export may truncate header in different ways, so we also fallback)
-    const exact =
-      obj["Beschrijf je suggestie hieronder zo duidelijk mogelijk. Heb j... voordeel kan zijn voor je medegebruikers? Laat dit dan weten."];
-    if (exact && String(exact).trim() !== "") return exact;
-  
-    // Heuristic: find a column that contains 'beschrijf' or 'suggestie'
-    for (const k of Object.keys(obj || {})) {
-      const lk = k.toLowerCase();
-      if (lk.includes("beschrijf") || lk.includes("suggestie")) {
-        const v = obj[k];
-        if (v && String(v).trim() !== "") return v;
-      }
-    }
-  
-    // Fallback: 2nd column is often the open text field
-    const keys = Object.keys(obj || {});
-    if (keys.length >= 2) return obj[keys[1]];
-  
-    return obj.text || obj.message || obj.body || "";
-  }
-
-function detectDelimiter(firstLine) {
-    const line = (firstLine || "").replace(/^\uFEFF/, "");
-    const commas = (line.match(/,/g) || []).length;
-    const semis = (line.match(/;/g) || []).length;
-    const tabs = (line.match(/\t/g) || []).length;
-    if (semis > commas && semis >= tabs) return ";";
-    if (tabs > commas && tabs > semis) return "\t";
-    return ",";
-  }
-  
-  function parseCSV(text) {
-    const raw = (text || "").toString().replace(/^\uFEFF/, "");
-    const firstLine = raw.split(/\r?\n/)[0] || "";
-    const DELIM = detectDelimiter(firstLine);
-  
-    const rows = [];
-    let i = 0;
-    let field = "";
-    let row = [];
-    let inQuotes = false;
-  
-    const pushField = () => {
-      row.push(field);
-      field = "";
-    };
-    const pushRow = () => {
-      rows.push(row);
-      row = [];
-    };
-  
-    while (i < raw.length) {
-      const c = raw[i];
-  
-      if (inQuotes) {
-        if (c === '"') {
-          if (raw[i + 1] === '"') {
-            field += '"';
-            i += 2;
-            continue;
-          }
-          inQuotes = false;
-          i++;
-          continue;
-        }
-        field += c;
-        i++;
-        continue;
-      }
-  
-      if (c === '"') {
-        inQuotes = true;
-        i++;
-        continue;
-      }
-  
-      if (c === DELIM) {
-        pushField();
-        i++;
-        continue;
-      }
-  
-      if (c === "\n") {
-        pushField();
-        pushRow();
-        i++;
-        continue;
-      }
-  
-      if (c === "\r") {
-        i++;
-        continue;
-      }
-  
-      field += c;
-      i++;
-    }
-  
-    pushField();
-    if (row.length > 1 || row[0] !== "") pushRow();
-  
-    const header = (rows[0] || []).map((h) => (h || "").trim());
-    if (!header.length || header.every((h) => !h)) return [];
-  
-    const out = [];
-    for (let r = 1; r < rows.length; r++) {
-      const obj = {};
-      for (let c = 0; c < header.length; c++) obj[header[c]] = rows[r][c];
-      const nonEmpty = Object.values(obj).some((v) => (v || "").toString().trim() !== "");
-      if (nonEmpty) out.push(obj);
-    }
-    return out;
-  }
-
-function monthFromDateString(s) {
-  // Accepts YYYY-MM, YYYY-MM-DD, ISO, etc.
-  const t = (s || "").trim();
-  if (!t) return "";
-  if (/^\d{4}-\d{2}$/.test(t)) return t;
-  const m = t.match(/(\d{4})-(\d{2})/);
-  if (m) return `${m[1]}-${m[2]}`;
-  const d = new Date(t);
-  if (Number.isNaN(d.getTime())) return "";
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  return `${yyyy}-${mm}`;
-}
-
-function nextMonth(yyyyMm) {
-  const [y, m] = (yyyyMm || "").split("-").map((x) => parseInt(x, 10));
-  if (!y || !m) return "";
-  const ny = m === 12 ? y + 1 : y;
-  const nm = m === 12 ? 1 : m + 1;
-  return `${ny}-${String(nm).padStart(2, "0")}`;
+const TIME_ZONES = timeZoneOptions();
+
+// Personas + keywords at startup: the working copy from the last session, else the active
+// saved config, else the built-in defaults
+function initialWorkingCopy() {
+  const draft = loadDraft();
+  const saved =
+    Array.isArray(draft?.personas) && draft.personas.length && draft.keywords
+      ? draft
+      : findVersion(loadConfigs(), loadActiveConfig());
+  if (saved) return { personas: saved.personas, keywords: syncKeywords(normalizeKeywordPacks(saved.keywords), saved.personas) };
+  return { personas: DEFAULT_PERSONAS, keywords: DEFAULT_KEYWORDS };
 }
 
-function classifyDominantPersona(text, keywords) {
-  const t = norm(text);
-  const flags = {};
-  for (const p of PERSONAS) {
-    const list = keywords[p.key] || [];
-    flags[p.key] = list.some((kw) => t.includes(norm(kw)));
-  }
-
-  // If nothing matched, return null.
-  const any = Object.values(flags).some(Boolean);
-  if (!any) return { persona: null, flags };
+const MODE_LABELS = {
+  dominant: "Dominant persona",
+  multi: "Multi-label",
+  weighted: "Weighted score",
+  model: "Trained classifier",
+};
 
-  // Dominant by priority.
-  const sorted = [...PERSONAS].sort((a, b) => a.priority - b.priority);
-  for (const p of sorted) {
-    if (flags[p.key]) return { persona: p.key, flags };
+// Persona a user-period counts for in the single-persona modes; personaKeys in priority order.
+// Classifier mode falls back to the keyword result without a model or for deleted personas.
+function assignedPersona(r, mode, minScore, personaKeys) {
+  if (mode === "weighted") return pickWeightedPersona(r.scores, personaKeys, minScore);
+  if (mode === "model" && r.model_persona !== undefined) {
+    if (r.model_persona === null || personaKeys.includes(r.model_persona)) return r.model_persona;
   }
-  return { persona: null, flags };
+  return r.dominant_persona;
 }
 
-function downloadCSV(filename, rows) {
-  const headers = Object.keys(rows[0] || {});
-  const esc = (v) => {
-    const s = (v ?? "").toString();
-    if (/[",\n\r]/.test(s)) return '"' + s.replaceAll('"', '""') + '"';
-    return s;
+// Row of the feedback tables and the user journey: the assigned persona (override first) next to
+// the keyword prediction, with what the text highlighting and score breakdown need
+function feedbackEntry(r, { mode, minScore, personaKeys, overrides, granularity }) {
+  const predicted = assignedPersona(r, mode, minScore, personaKeys);
+  const override = overrideFor(overrides, granularity, r, personaKeys);
+  return {
+    user_id: r.user_id,
+    period: r.period,
+    language: r.language,
+    persona: override === undefined ? predicted : override,
+    predicted,
+    override,
+    text: r.text,
+    flags: r.flags,
+    scores: r.scores,
+    hits: r.hits,
+    model_persona: r.model_persona,
+    active_next_period: r.active_next_period,
   };
-  const lines = [headers.join(",")];
-  for (const r of rows) {
-    lines.push(headers.map((h) => esc(r[h])).join(","));
-  }
-  const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
 }
 
 const SAMPLE = `user_id,month,text
@@ -403,41 +206,25 @@ u2,2025-10,"Opnieuw foutmeldingen."
 u3,2025-10,"Ik mis een optie, onduidelijk waarom het zo werkt."
 `;
 
-function Pill({ tone = "neutral", children }) {
-  const cls =
-    tone === "danger"
-      ? "bg-red-100 text-red-900 border-red-200"
-      : tone === "warn"
-        ? "bg-amber-100 text-amber-900 border-amber-200"
-        : tone === "good"
-          ? "bg-emerald-100 text-emerald-900 border-emerald-200"
-          : "bg-slate-100 text-slate-900 border-slate-200";
-  return (
-    <span className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs ${cls}`}>
-      {children}
-    </span>
-  );
-}
-
-function InfoRow({ label, value }) {
-  return (
-    <div className="flex items-center justify-between gap-3">
-      <div className="text-sm text-slate-600">{label}</div>
-      <div className="text-sm font-medium">{value}</div>
-    </div>
-  );
-}
-
+// Confidence bands ([low, high] under "ci:<series>") are shown as a range next to their series
 function TooltipBox({ active, payload, label, valueFormatter }) {
   if (!active || !payload?.length) return null;
+  const fmt = (v) => (valueFormatter ? valueFormatter(v) : v);
   return (
     <div className="rounded-xl border bg-white p-3 shadow-sm">
       <div className="text-sm font-semibold">{label}</div>
       <div className="mt-1 space-y-1">
-        {payload.map((p) => (
+        {payload.filter((p) => !Array.isArray(p.value)).map((p) => (
           <div key={p.dataKey} className="flex items-center justify-between gap-6 text-sm">
             <span className="text-slate-600">{p.name}</span>
-            <span className="font-medium">{valueFormatter ? valueFormatter(p.value) : p.value}</span>
+            <span className="font-medium">
+              {fmt(p.value)}
+              {p.payload?.[`ci:${p.dataKey}`] && (
+                <span className="ml-1 font-normal text-slate-500">
+                  ({fmt(p.payload[`ci:${p.dataKey}`][0])}–{fmt(p.payload[`ci:${p.dataKey}`][1])})
+                </span>
+              )}
+            </span>
           </div>
         ))}
       </div>
@@ -445,110 +232,127 @@ function TooltipBox({ active, payload, label, valueFormatter }) {
   );
 }
 
+// User id in the feedback tables; opens the user's journey
+function UserLink({ id, onOpen }) {
+  return (
+    <button type="button" className="font-medium underline-offset-2 hover:underline" onClick={() => onOpen(id)}>
+      {id}
+    </button>
+  );
+}
+
 export default function PersonaRetentionDashboard() {
     const [csvText, setCsvText] = useState(SAMPLE);
     const [csvError, setCsvError] = useState("");
     const [csvInfo, setCsvInfo] = useState("");
     const fileInputRef = useRef(null);
-    const [keywords, setKeywords] = useState(DEFAULT_KEYWORDS);
+    const uploadInfoRef = useRef("");
+    const activityInputRef = useRef(null);
+    const activityInfoRef = useRef("");
+    const [initial] = useState(initialWorkingCopy);
+    const [personas, setPersonas] = useState(initial.personas); // order = priority
+    const [personaEditorOpen, setPersonaEditorOpen] = useState(false);
+    const [keywords, setKeywords] = useState(initial.keywords);
+    const [keywordConfigs, setKeywordConfigs] = useState(loadConfigs);
+    const [activeConfig, setActiveConfig] = useState(loadActiveConfig); // { name, version } | null
+    const [keywordLanguage, setKeywordLanguage] = useState(LANGUAGES[0].key); // pack being edited
+    const [languageFilter, setLanguageFilter] = useState("all"); // all | language key | UNDETERMINED
+    const [overrides, setOverrides] = useState(loadOverrides); // manual persona per user-period
+    const [model, setModel] = useState(loadModel); // trained classifier (JSON) or null
+    const [normalization, setNormalization] = useState(loadNormalization); // text normalization steps
   const [query, setQuery] = useState("");
   const [selectedPersona, setSelectedPersona] = useState("all");
   const [view, setView] = useState("retention");
-  const [dominanceMode, setDominanceMode] = useState("dominant"); // dominant | multi
+  const [showBands, setShowBands] = useState(true); // 95% confidence bands on the retention chart
+  const [smoothing, setSmoothing] = useState("off"); // off | persona | overall: chart and table show raw or smoothed rates
+  const [dominanceMode, setDominanceMode] = useState("dominant"); // dominant | multi | weighted | model
+  const [minScore, setMinScore] = useState(1); // weighted mode: below this nothing is dominant
   const [minUsers, setMinUsers] = useState(5);
-  const [selectedMonthForDetails, setSelectedMonthForDetails] = useState("");
+  const [granularity, setGranularity] = useState(DEFAULT_GRANULARITY); // week | month | quarter
+  const [timeZone, setTimeZone] = useState(DEFAULT_TIME_ZONE); // reporting timezone for bucketing
+  const [selectedPeriodForDetails, setSelectedPeriodForDetails] = useState("");
   const [feedbackFullscreen, setFeedbackFullscreen] = useState(false);
+  const [journeyUser, setJourneyUser] = useState(null); // user id shown in the journey panel
   const [minEntryChars, setMinEntryChars] = useState(0);
+  const [mapping, setMapping] = useState(null); // null = guess from headers
+  const [mappingDialogOpen, setMappingDialogOpen] = useState(false);
+  const [mappingPresets, setMappingPresets] = useState(loadPresets);
+  const [activityMapping, setActivityMapping] = useState(null); // null = guess from headers
+  const [activityMappingOpen, setActivityMappingOpen] = useState(false);
+  const [activityInfo, setActivityInfo] = useState("");
+
+  // Parsing, user-period normalization and classification run in a worker
+  const pipeline = usePipelineWorker(SAMPLE, handleDataset);
+  const { dataset, activityDataset, classify } = pipeline;
+
+  const headers = useMemo(() => dataset?.headers || [], [dataset]);
+  const activityHeaders = useMemo(() => activityDataset?.headers || [], [activityDataset]);
+
+  // Explicit mapping (wizard / preset) while it fits the current headers, else a best-effort guess
+  const effectiveMapping = useMemo(
+    () => (isMappingValid(mapping, headers) ? mapping : guessMapping(headers)),
+    [mapping, headers]
+  );
 
-  // Parse CSV
-  const rawRows = useMemo(() => {
-    try {
-      return parseCSV(csvText);
-    } catch {
-      return [];
-    }
-  }, [csvText]);
-
-  // Normalize rows to user-month records
-  const userMonthRows = useMemo(() => {
-    if (!rawRows.length) return [];
-
-    // Detect schema
-    const cols = Object.keys(rawRows[0]);
-    const hasMonth = cols.includes("month");
-    const hasCreatedAt = cols.includes("created_at");
-
-    const rows = rawRows
-      .map((r) => {
-        const user_id = String(r.user_id || r.userid || r.user || r["Network ID"] || r.network_id || "").trim();
-const text = String(pickSuggestionText(r) || "");
-const month = hasMonth
-  ? monthFromDateString(r.month)
-  : monthFromDateString(r.created_at || r["Start Date (UTC)"]);
-        const active_next_month = (r.active_next_month ?? "").toString().trim();
-        if (!user_id || !month) return null;
-        return { user_id, month, text, active_next_month };
-      })
-      .filter(Boolean);
+  const effectiveActivityMapping = useMemo(
+    () => (isActivityMappingValid(activityMapping, activityHeaders) ? activityMapping : guessActivityMapping(activityHeaders)),
+    [activityMapping, activityHeaders]
+  );
+  // Only a usable activity mapping switches the retention source
+  const activeActivityMapping =
+    activityDataset && isActivityMappingValid(effectiveActivityMapping, activityHeaders) ? effectiveActivityMapping : null;
 
-    // Aggregate per user-month (concat texts)
-    const map = new Map();
-    for (const r of rows) {
-      const key = `${r.user_id}__${r.month}`;
-      if (!map.has(key)) map.set(key, { user_id: r.user_id, month: r.month, text: "", active_next_month: r.active_next_month });
-      const cur = map.get(key);
-      cur.text = (cur.text ? cur.text + "\n" : "") + r.text;
-      // prefer explicit active_next_month if present
-      if (r.active_next_month !== "") cur.active_next_month = r.active_next_month;
-    }
+  // Unsaved edits survive a refresh; saved versions are explicit (see the Configuration box)
+  useEffect(() => {
+    storeDraft({ personas, keywords });
+  }, [personas, keywords]);
 
-    return Array.from(map.values()).sort((a, b) => (a.month === b.month ? a.user_id.localeCompare(b.user_id) : a.month.localeCompare(b.month)));
-  }, [rawRows]);
+  const configModified = !sameAsVersion(findVersion(keywordConfigs, activeConfig), personas, keywords);
+  // Traces exported numbers back to the rules that produced them
+  const configStamp = activeConfig
+    ? `${configLabel(activeConfig)}${configModified ? " (unsaved changes)" : ""}`
+    : "Unsaved";
 
-  // Build presence index to derive next-month activity if active_next_month not provided
-  const presence = useMemo(() => {
-    const map = new Map();
-    for (const r of userMonthRows) {
-      const key = `${r.user_id}__${r.month}`;
-      map.set(key, true);
-    }
-    return map;
-  }, [userMonthRows]);
+  // Classification order: highest priority first
+  const personaKeys = useMemo(() => personas.map((p) => p.key), [personas]);
 
-  // Classify personas & compute metrics
-  const computed = useMemo(() => {
-    const classified = userMonthRows.map((r) => {
-      const { persona, flags } = classifyDominantPersona(r.text, keywords);
+  useEffect(() => {
+    if (!dataset) return;
+    classify({
+      mapping: effectiveMapping,
+      activityMapping: activeActivityMapping,
+      granularity,
+      timeZone,
+      keywords,
+      personaKeys,
+      model,
+      normalization,
+    });
+  }, [dataset, effectiveMapping, activeActivityMapping, granularity, timeZone, keywords, personaKeys, model, normalization, classify]);
 
-      // Determine active next month
-      let activeNext = null;
-      if (r.active_next_month !== "") {
-        activeNext = ["1", "true", "yes", "y"].includes(norm(r.active_next_month));
-      } else {
-        const nm = nextMonth(r.month);
-        activeNext = presence.has(`${r.user_id}__${nm}`);
-      }
+  const gran = granularityMeta(granularity);
+  // Personas plus the Unclassified and All users reporting segments
+  const segments = useMemo(() => reportSegments(personas), [personas]);
+  const labelFor = (k) => personaLabel(segments, k);
+  const colorFor = (k) => personaColor(segments, k);
 
-      return {
-        ...r,
-        dominant_persona: persona,
-        flags,
-        active_next_month: activeNext,
-      };
-    });
+  // Compute metrics from the classified user-period rows
+  const computed = useMemo(() => {
+    const classified =
+      languageFilter === "all" ? pipeline.classified : pipeline.classified.filter((r) => r.language === languageFilter);
 
-    // Build month list
-    const months = Array.from(new Set(classified.map((r) => r.month))).sort();
+    // Build period list
+    const periods = Array.from(new Set(classified.map((r) => r.period))).sort();
 
-    // Per month × persona aggregates
-    const keyFor = (month, persona) => `${month}__${persona}`;
+    // Per period × persona aggregates
+    const keyFor = (period, persona) => `${period}__${persona}`;
     const agg = new Map();
 
-    function ensure(month, persona) {
-      const k = keyFor(month, persona);
+    function ensure(period, persona) {
+      const k = keyFor(period, persona);
       if (!agg.has(k)) {
         agg.set(k, {
-          month,
+          period,
           persona,
           users: new Set(),
           retainedUsers: new Set(),
@@ -558,20 +362,31 @@ const month = hasMonth
       return agg.get(k);
     }
 
+    let unclassified = 0;
+    const assignments = []; // { user_id, period, personas, active } for the cohort and transition views
     for (const r of classified) {
       // Determine which personas to count this record for
       let personasToCount = [];
-      if (dominanceMode === "dominant") {
-        if (r.dominant_persona) personasToCount = [r.dominant_persona];
-      } else {
+      const manual = overrideFor(overrides, granularity, r, personaKeys);
+      if (manual !== undefined) {
+        // A manual override replaces the keyword result in every mode
+        if (manual) personasToCount = [manual];
+      } else if (dominanceMode === "multi") {
         // multi: count all persona flags as true
-        personasToCount = PERSONAS.map((p) => p.key).filter((k) => r.flags?.[k]);
+        personasToCount = personaKeys.filter((k) => r.flags?.[k]);
+      } else {
+        const persona = assignedPersona(r, dominanceMode, minScore, personaKeys);
+        if (persona) personasToCount = [persona];
       }
+      if (!personasToCount.length) unclassified++;
+      assignments.push({ user_id: r.user_id, period: r.period, personas: personasToCount, active: r.active_next_period });
+      // Every user-period also counts for its segment (Unclassified when no persona) and the baseline
+      const segmentsToCount = [...(personasToCount.length ? personasToCount : [UNCLASSIFIED.key]), ALL_USERS.key];
 
-      for (const p of personasToCount) {
-        const a = ensure(r.month, p);
+      for (const p of segmentsToCount) {
+        const a = ensure(r.period, p);
         a.users.add(r.user_id);
-        if (r.active_next_month) a.retainedUsers.add(r.user_id);
+        if (r.active_next_period) a.retainedUsers.add(r.user_id);
         else a.churnedUsers.add(r.user_id);
       }
     }
@@ -581,84 +396,132 @@ const month = hasMonth
       const retained = a.retainedUsers.size;
       const churned = a.churnedUsers.size;
       const retention = users ? retained / users : 0;
+      const ci = wilsonInterval(retained, users);
       return {
-        month: a.month,
+        period: a.period,
         persona: a.persona,
         users,
         retained,
         churned,
         retention,
+        ci_low: ci.low,
+        ci_high: ci.high,
       };
     });
 
-    // MoM delta for retention and user count
+    // Empirical-Bayes smoothing: shrink each rate toward the segment's long-run rate (or the overall
+    // one); the prior strength comes from how much rates really vary beyond sampling noise.
+    // Computed whatever the display says, so exports always carry raw and smoothed rates.
+    const smoothingTarget = smoothing === "overall" ? "overall" : "persona";
+    const longRun = new Map();
+    for (const r of rows) {
+      const t = longRun.get(r.persona) || { retained: 0, users: 0 };
+      longRun.set(r.persona, { retained: t.retained + r.retained, users: t.users + r.users });
+    }
+    const longRunRate = (persona) => {
+      const t = longRun.get(smoothingTarget === "overall" ? ALL_USERS.key : persona);
+      return t?.users ? t.retained / t.users : 0;
+    };
+    const smoothingStrength = estimatePriorStrength(
+      rows
+        .filter((r) => r.persona !== ALL_USERS.key)
+        .map((r) => ({ successes: r.retained, n: r.users, mean: longRunRate(r.persona) }))
+    );
+    for (const r of rows) r.retention_smoothed = shrinkRate(r.retained, r.users, longRunRate(r.persona), smoothingStrength);
+
+    // Period-over-period delta for retention and user count
     const byPersona = new Map();
     for (const r of rows) {
       if (!byPersona.has(r.persona)) byPersona.set(r.persona, []);
       byPersona.get(r.persona).push(r);
     }
+    const baseline = new Map(rows.filter((r) => r.persona === ALL_USERS.key).map((r) => [r.period, r.retention]));
+    // The latest period has no next period to be retained into yet: its retention is not a real
+    // drop, so it gets no retention delta or test (user counts are complete and keep theirs)
+    const latestPeriod = periods[periods.length - 1];
     for (const [persona, arr] of byPersona.entries()) {
-      arr.sort((a, b) => a.month.localeCompare(b.month));
+      arr.sort((a, b) => a.period.localeCompare(b.period));
       for (let i = 0; i < arr.length; i++) {
         const prev = arr[i - 1];
-        arr[i].retention_mom = prev ? arr[i].retention - prev.retention : null;
-        arr[i].users_mom = prev ? arr[i].users - prev.users : null;
+        const compare = prev && arr[i].period !== latestPeriod ? prev : null;
+        arr[i].retention_open = arr[i].period === latestPeriod;
+        arr[i].retention_delta = compare ? arr[i].retention - compare.retention : null;
+        arr[i].users_delta = prev ? arr[i].users - prev.users : null;
+        // Deltas count as movement only when they're unlikely to be noise
+        arr[i].retention_delta_p = compare ? twoProportionTest(arr[i].retained, arr[i].users, compare.retained, compare.users).p : null;
+        arr[i].retention_delta_significant = compare ? arr[i].retention_delta_p < SIGNIFICANCE_LEVEL : false;
+        arr[i].users_delta_significant = prev ? countChangeTest(prev.users, arr[i].users).p < SIGNIFICANCE_LEVEL : false;
+        // Retention vs. the All users baseline of the same period (pp as a fraction)
+        arr[i].retention_vs_all = persona === ALL_USERS.key ? null : arr[i].retention - baseline.get(arr[i].period);
       }
     }
 
     const outRows = Array.from(byPersona.values()).flat();
 
-    // Build chart-friendly series
-    const personaLabel = (k) => PERSONAS.find((p) => p.key === k)?.label || k;
-    const retentionSeries = months.map((m) => {
-      const obj = { month: m };
-      for (const p of PERSONAS) {
-        const r = outRows.find((x) => x.month === m && x.persona === p.key);
-        obj[personaLabel(p.key)] = r ? Math.round(r.retention * 1000) / 10 : 0;
+    // Build chart-friendly series, keyed by persona key: recharts reads a dotted dataKey as a nested
+    // path, and labels are free text
+    const retentionSeries = periods.map((m) => {
+      const obj = { period: m };
+      for (const p of segments) {
+        const r = outRows.find((x) => x.period === m && x.persona === p.key);
+        obj[p.key] = r ? Math.round((smoothing === "off" ? r.retention : r.retention_smoothed) * 1000) / 10 : 0;
+        // 95% Wilson interval as a [low, high] band
+        obj[`ci:${p.key}`] = r ? [Math.round(r.ci_low * 1000) / 10, Math.round(r.ci_high * 1000) / 10] : null;
       }
       return obj;
     });
 
-    const volumeSeries = months.map((m) => {
-      const obj = { month: m };
-      for (const p of PERSONAS) {
-        const r = outRows.find((x) => x.month === m && x.persona === p.key);
-        obj[personaLabel(p.key)] = r ? r.users : 0;
+    const volumeSeries = periods.map((m) => {
+      const obj = { period: m };
+      for (const p of segments) {
+        const r = outRows.find((x) => x.period === m && x.persona === p.key);
+        obj[p.key] = r ? r.users : 0;
       }
       return obj;
     });
 
-    return { classified, outRows, months, retentionSeries, volumeSeries };
-  }, [userMonthRows, keywords, presence, dominanceMode]);
+    // Share of user-periods that get a persona at all
+    const coverage = classified.length ? 1 - unclassified / classified.length : null;
 
-  const personaLabel = (k) => PERSONAS.find((p) => p.key === k)?.label || k;
-  const personaMeta = (k) => PERSONAS.find((p) => p.key === k);
+    // Latest period whose retention is known: spotlight cards and alerts report on this one
+    const reportPeriod = periods[periods.length - 2] || "";
+
+    return {
+      classified,
+      outRows,
+      periods,
+      reportPeriod,
+      retentionSeries,
+      volumeSeries,
+      coverage,
+      smoothingTarget,
+      smoothingStrength,
+      assignments,
+    };
+  }, [pipeline.classified, languageFilter, dominanceMode, minScore, segments, personaKeys, overrides, granularity, smoothing]);
 
   const filteredRows = useMemo(() => {
     const q = norm(query);
+    const order = new Map(segments.map((p, i) => [p.key, i]));
     return computed.outRows
-      .filter((r) => (selectedPersona === "all" ? true : r.persona === selectedPersona))
+      .filter((r) => (selectedPersona === "all" ? true : r.persona === selectedPersona || r.persona === ALL_USERS.key))
       .filter((r) => (r.users >= minUsers ? true : false))
       .filter((r) => {
         if (!q) return true;
         return (
-          r.month.includes(q) ||
-          personaLabel(r.persona).toLowerCase().includes(q)
+          r.period.toLowerCase().includes(q) ||
+          personaLabel(segments, r.persona).toLowerCase().includes(q)
         );
       })
-      .sort((a, b) => (a.month === b.month ? a.persona.localeCompare(b.persona) : b.month.localeCompare(a.month)));
-  }, [computed.outRows, query, selectedPersona, minUsers]);
+      // Newest period first; within a period personas by priority, then Unclassified and All users
+      .sort((a, b) => (a.period === b.period ? order.get(a.persona) - order.get(b.persona) : b.period.localeCompare(a.period)));
+  }, [computed.outRows, query, selectedPersona, minUsers, segments]);
 
-  // Key KPIs: trust+veteran spotlight
+  // Key KPIs for the personas marked as spotlight in the persona editor
   const spotlight = useMemo(() => {
-    const lastMonth = computed.months[computed.months.length - 1];
-    const prevMonth = computed.months[computed.months.length - 2];
-    const pick = (month, persona) => computed.outRows.find((r) => r.month === month && r.persona === persona);
-
-    const trustNow = pick(lastMonth, "trust_erosion");
-    const trustPrev = pick(prevMonth, "trust_erosion");
-    const vetNow = pick(lastMonth, "veteran");
-    const vetPrev = pick(prevMonth, "veteran");
+    const lastPeriod = computed.reportPeriod;
+    const prevPeriod = computed.periods[computed.periods.indexOf(lastPeriod) - 1];
+    const pick = (period, persona) => computed.outRows.find((r) => r.period === period && r.persona === persona);
 
     function safePct(x) {
       if (!x) return "—";
@@ -678,129 +541,260 @@ const month = hasMonth
     }
 
     return {
-      lastMonth,
-      trust: {
-        users: trustNow?.users ?? 0,
-        retention: safePct(trustNow),
-        retentionDelta: safeDelta(trustNow, trustPrev),
-        usersDelta: safeUsersDelta(trustNow, trustPrev),
-      },
-      veteran: {
-        users: vetNow?.users ?? 0,
-        retention: safePct(vetNow),
-        retentionDelta: safeDelta(vetNow, vetPrev),
-        usersDelta: safeUsersDelta(vetNow, vetPrev),
-      },
+      lastPeriod,
+      cards: personas
+        .filter((p) => p.spotlight)
+        .map((p) => {
+          const now = pick(lastPeriod, p.key);
+          const prev = pick(prevPeriod, p.key);
+          return {
+            persona: p,
+            users: now?.users ?? 0,
+            retention: safePct(now),
+            retentionDelta: safeDelta(now, prev),
+            retentionSignificant: !!now && !!prev && twoProportionTest(now.retained, now.users, prev.retained, prev.users).p < SIGNIFICANCE_LEVEL,
+            usersDelta: safeUsersDelta(now, prev),
+            usersSignificant: !!now && !!prev && countChangeTest(prev.users, now.users).p < SIGNIFICANCE_LEVEL,
+          };
+        }),
     };
-  }, [computed.months, computed.outRows]);
+  }, [computed.periods, computed.reportPeriod, computed.outRows, personas]);
 
   const riskNotes = useMemo(() => {
-    const lastMonth = computed.months[computed.months.length - 1];
-    if (!lastMonth) return [];
+    const lastPeriod = computed.reportPeriod;
+    if (!lastPeriod) return [];
 
-    const get = (persona) => computed.outRows.find((r) => r.month === lastMonth && r.persona === persona);
+    // These checks look for the built-in personas by key and skip when they have been deleted
+    const get = (persona) => computed.outRows.find((r) => r.period === lastPeriod && r.persona === persona);
+    const label = (persona) => personaLabel(personas, persona);
     const trust = get("trust_erosion");
     const emotional = get("emotional");
     const escalation = get("escalation");
     const suggestion = get("suggestion");
 
+    // Only significant movements count (see lib/stats.js); the rest is within noise
+    const falling = (r) => r && r.retention_delta !== null && r.retention_delta < 0 && r.retention_delta_significant;
+    const growing = (r) => r && r.users_delta !== null && r.users_delta > 0 && r.users_delta_significant;
+    const shrinking = (r) => r && r.users_delta !== null && r.users_delta < 0 && r.users_delta_significant;
+
     const notes = [];
-    if (trust && trust.users >= minUsers && trust.retention_mom !== null && trust.retention_mom < 0 && trust.users_mom !== null && trust.users_mom > 0) {
+    if (trust && trust.users >= minUsers && falling(trust) && growing(trust)) {
       notes.push({
         tone: "danger",
-        title: "Trust erosion expanding + retention falling",
+        title: `${label("trust_erosion")} expanding + retention falling`,
         text: "Brand-level credibility issue. Treat as retention incident, not feature request.",
       });
     }
-    if (suggestion && emotional && suggestion.users_mom !== null && suggestion.users_mom < 0 && emotional.users_mom !== null && emotional.users_mom > 0) {
+    if (shrinking(suggestion) && growing(emotional)) {
       notes.push({
         tone: "warn",
         title: "Constructive feedback drying up",
-        text: "Suggestion-stage shrinking while breaking-point grows: users stop helping before they leave.",
+        text: `${label("suggestion")} shrinking while ${label("emotional").toLowerCase()} grows: users stop helping before they leave.`,
       });
     }
-    if (escalation && escalation.users_mom !== null && escalation.users_mom > 0) {
+    if (growing(escalation)) {
       notes.push({
         tone: "warn",
-        title: "Escalation rising",
+        title: `${label("escalation")} rising`,
         text: "More users repeating themselves — power complainer risk. Prioritize closure loops.",
       });
     }
     if (!notes.length) {
+      const watched = personas.filter((p) => p.spotlight).map((p) => p.label).join(" + ");
       notes.push({
         tone: "good",
         title: "No acute persona alarm",
-        text: "Keep watching Trust erosion + Veteran. Validate with absolute counts and confidence.",
+        text: `Keep watching ${watched || "the spotlight personas"}. No significant movement (p < ${SIGNIFICANCE_LEVEL}) in ${lastPeriod}, the latest complete ${gran.noun}.`,
       });
     }
     return notes;
-  }, [computed.months, computed.outRows, minUsers]);
+  }, [computed.reportPeriod, computed.outRows, minUsers, personas, gran.noun]);
 
  
+  // Uploads and sheet switches: show the file in the raw-data box and pick a mapping
+  function handleDataset(ds) {
+    if (ds.target === "activity") {
+      handleActivityDataset(ds);
+      return;
+    }
+    if (ds.origin === "text") return;
+
+    // Big files and non-CSV sources are shown read-only (truncated)
+    setCsvText(ds.text);
+
+    const info = ds.sheet ? `${uploadInfoRef.current} • sheet “${ds.sheet}”` : uploadInfoRef.current;
+    setCsvInfo(info);
+    if (!ds.rowCount) {
+      setCsvError("Parsed 0 rows. Check delimiter (comma/semicolon) or whether the file has a header row.");
+      return;
+    }
+
+    // Known export type: map automatically; otherwise ask
+    const preset = findPreset(mappingPresets, ds.headers);
+    if (preset) {
+      setMapping(preset.mapping);
+      setCsvInfo(`${info} • preset “${preset.name}”`);
+    } else {
+      setMapping(null);
+      setMappingDialogOpen(true);
+    }
+  }
+
+  function handleActivityDataset(ds) {
+    setActivityInfo(ds.sheet ? `${activityInfoRef.current} • sheet “${ds.sheet}”` : activityInfoRef.current);
+    if (!ds.rowCount) {
+      setCsvError("Activity log: parsed 0 rows. Check the delimiter or whether the file has a header row.");
+      return;
+    }
+    setActivityMapping(null);
+    if (!isActivityMappingValid(guessActivityMapping(ds.headers), ds.headers)) setActivityMappingOpen(true);
+  }
+
+  function handleActivityUpload(file, inputEl) {
+    if (!file) return;
+    activityInfoRef.current = `${file.name} • ${Math.round(file.size / 1024)} KB`;
+    setCsvError("");
+    pipeline.loadFile(file, "activity");
+    if (inputEl) inputEl.value = "";
+  }
+
+  function clearActivity() {
+    activityInfoRef.current = "";
+    setActivityInfo("");
+    setActivityMapping(null);
+    pipeline.clearActivity();
+  }
+
+  // Keyword lists and the persona filter follow the edited persona set
+  function applyPersonas(next) {
+    setPersonas(next);
+    setKeywords((prev) => syncKeywords(prev, next));
+    if (!next.some((p) => p.key === selectedPersona)) setSelectedPersona("all");
+    setPersonaEditorOpen(false);
+  }
+
+  // Loading a saved version; the classify effect picks up the new personas/keywords
+  function applyConfigVersion(version, ref) {
+    setPersonas(version.personas);
+    setKeywords(syncKeywords(normalizeKeywordPacks(version.keywords), version.personas));
+    setActiveConfig(storeActiveConfig(ref));
+    if (!version.personas.some((p) => p.key === selectedPersona)) setSelectedPersona("all");
+  }
+
+  function switchConfig(ref) {
+    const version = findVersion(keywordConfigs, ref);
+    if (version) applyConfigVersion(version, ref);
+  }
+
+  function saveConfig(name) {
+    const { configs, ref } = saveConfigVersion(name, personas, keywords);
+    setKeywordConfigs(configs);
+    if (ref) setActiveConfig(storeActiveConfig(ref));
+  }
+
+  function removeConfig(name) {
+    setKeywordConfigs(deleteConfig(name));
+    if (activeConfig?.name === name) setActiveConfig(storeActiveConfig(null));
+  }
+
+  function handleConfigImport(config) {
+    const { configs, ref } = importConfig(config);
+    setKeywordConfigs(configs);
+    applyConfigVersion(findVersion(configs, ref), ref);
+  }
+
+  function exportConfig(name) {
+    const config = keywordConfigs.find((c) => c.name === name);
+    if (!config) return;
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "config";
+    downloadJSON(`keyword_config_${slug}.json`, configFile(config));
+  }
+
+  // persona: a persona key or NO_PERSONA; null drops the override (back to the keyword result)
+  function overridePersona(row, persona) {
+    setOverrides(setOverride(overrides, overrideKey(granularity, row.user_id, row.period), persona));
+  }
+
+  // From keyword discovery: append a rule to one persona in one language pack
+  function addKeywordRule(persona, language, rule) {
+    setKeywords((prev) => {
+      const list = prev[language]?.[persona] || [];
+      if (list.includes(rule)) return prev;
+      return { ...prev, [language]: { ...prev[language], [persona]: [...list, rule] } };
+    });
+  }
+
   function handleUpload(file, inputEl) {
     if (!file) return;
   
+    const info = `${file.name} • ${Math.round(file.size / 1024)} KB`;
+    uploadInfoRef.current = info;
     setCsvError("");
-    setCsvInfo(`${file.name} • ${Math.round(file.size / 1024)} KB`);
-  
-    const reader = new FileReader();
-    reader.onload = () => {
-      const txt = reader.result?.toString() || "";
-      setCsvText(txt);
-  
-      try {
-        const parsed = parseCSV(txt);
-        if (!parsed.length) {
-          setCsvError("Parsed 0 rows. Check delimiter (comma/semicolon) or whether the file has a header row.");
-        }
-      } catch (e) {
-        setCsvError(`CSV parse error: ${e?.message || String(e)}`);
-      }
-  
-      if (inputEl) inputEl.value = ""; // re-upload same file works
-    };
-    reader.onerror = () => {
-      setCsvError("Could not read the file.");
-      if (inputEl) inputEl.value = "";
-    };
-  
-    reader.readAsText(file);
+    setCsvInfo(info);
+    pipeline.loadFile(file);
+    if (inputEl) inputEl.value = ""; // re-upload same file works
   }
 
-  const personaOptions = [{ key: "all", label: "All personas" }, ...PERSONAS.map((p) => ({ key: p.key, label: p.label }))];
+  async function downloadRejected() {
+    const rows = await pipeline.fetchRejectedRows();
+    if (rows.length) downloadCSV("rejected_rows.csv", rows);
+  }
+
+  function loadText(text) {
+    setCsvText(text);
+    setCsvError("");
+    setCsvInfo("");
+    pipeline.loadText(text);
+  }
+
+  const activityStats = pipeline.report?.activity || null;
+  const normalizationStats = pipeline.report?.normalization || null;
+  const rawTextReadOnly = !!dataset && dataset.origin !== "text" && (dataset.kind !== "csv" || dataset.textTruncated);
+  const progressPct = pipeline.progress?.total
+    ? Math.round((pipeline.progress.loaded / pipeline.progress.total) * 100)
+    : 0;
+  const importError = csvError || (pipeline.error ? `Import error: ${pipeline.error}` : "") ||
+    (pipeline.cancelled ? "Import cancelled; the previous data is still loaded." : "");
+
+  const personaOptions = [
+    { key: "all", label: "All personas" },
+    ...segments.filter((p) => p.key !== ALL_USERS.key).map((p) => ({ key: p.key, label: p.label })),
+  ];
 
   const chartData = view === "retention" ? computed.retentionSeries : computed.volumeSeries;
 
-  const seriesDefs = PERSONAS
-  .filter((p) => selectedPersona === "all" || p.key === selectedPersona)
+  // The All users baseline is always drawn, dashed
+  const seriesDefs = segments
+  .filter((p) => selectedPersona === "all" || p.key === selectedPersona || p.key === ALL_USERS.key)
   .map((p) => ({
     key: p.key,
-    label: personaLabel(p.key),
-    color: personaColor(p.key),
+    label: p.label,
+    color: p.color,
+    baseline: p.key === ALL_USERS.key,
   }));
 
   const fmtPct = (v) => `${v}%`;
 
   const handleChartClick = (chartState) => {
     const m = chartState?.activeLabel;
-    if (m) setSelectedMonthForDetails(m);
+    if (m) setSelectedPeriodForDetails(m);
   };
   
-  const monthDetailMonth =
-    selectedMonthForDetails || computed.months[computed.months.length - 1] || "";
+  // A pick from another granularity doesn't exist in the current period list
+  const detailPeriod = computed.periods.includes(selectedPeriodForDetails)
+    ? selectedPeriodForDetails
+    : computed.periods[computed.periods.length - 1] || "";
   
-  const monthDetails = useMemo(() => {
-    if (!monthDetailMonth) return [];
-    const byPriority = (personaKey) =>
-      PERSONAS.find((p) => p.key === personaKey)?.priority ?? 999;
+  const periodDetails = useMemo(() => {
+    if (!detailPeriod) return [];
+    const byPriority = (personaKey) => {
+      const idx = personaKeys.indexOf(personaKey);
+      return idx < 0 ? 999 : idx;
+    };
 
     return (computed.classified || [])
-      .filter((r) => r.month === monthDetailMonth)
-      .map((r) => ({
-        user_id: r.user_id,
-        persona: r.dominant_persona,
-        text: r.text,
-      }))
+      .filter((r) => r.period === detailPeriod)
+      .map((r) => feedbackEntry(r, { mode: dominanceMode, minScore, personaKeys, overrides, granularity }))
       .filter((r) => (r.text || "").length >= minEntryChars)
       .sort((a, b) => {
         const pa = byPriority(a.persona);
@@ -808,17 +802,63 @@ const month = hasMonth
         if (pa !== pb) return pa - pb;
         return (a.user_id || "").localeCompare(b.user_id || "");
       });
-  }, [computed.classified, monthDetailMonth, minEntryChars]);
+  }, [computed.classified, detailPeriod, minEntryChars, dominanceMode, minScore, personaKeys, overrides, granularity]);
+
+  // Gold set: every overridden user-period in the loaded data. Multi-label mode is scored on
+  // its dominant persona.
+  const evaluation = useMemo(() => {
+    const mode = dominanceMode === "multi" ? "dominant" : dominanceMode;
+    const pairs = [];
+    for (const r of computed.classified) {
+      const actual = overrideFor(overrides, granularity, r, personaKeys);
+      if (actual === undefined) continue;
+      pairs.push({ predicted: assignedPersona(r, mode, minScore, personaKeys), actual });
+    }
+    return evaluatePredictions(pairs, personaKeys);
+  }, [computed.classified, overrides, granularity, dominanceMode, minScore, personaKeys]);
 
-  // Fullscreen feedback table: close on Escape
+  // Classifier training data: the gold set, with the keyword result as baseline
+  const trainingExamples = useMemo(() => {
+    const out = [];
+    for (const r of pipeline.classified) {
+      const label = overrideFor(overrides, granularity, r, personaKeys);
+      if (label !== undefined) out.push({ text: r.text, label, keyword: r.dominant_persona });
+    }
+    return out;
+  }, [pipeline.classified, overrides, granularity, personaKeys]);
+
+  // Same rules as the worker, compiled here to locate matches for highlighting
+  const compiledPacks = useMemo(() => compileKeywordPacks(keywords, normalization), [keywords, normalization]);
+
+  // Entries per detected language, for the language filter
+  const languageCounts = useMemo(() => {
+    const counts = {};
+    for (const r of pipeline.classified) counts[r.language] = (counts[r.language] || 0) + 1;
+    return counts;
+  }, [pipeline.classified]);
+
+  // Fullscreen feedback table: close on Escape (the journey panel on top closes first)
   useEffect(() => {
-    if (!feedbackFullscreen) return;
+    if (!feedbackFullscreen || journeyUser) return;
     const onKeyDown = (e) => {
       if (e.key === "Escape") setFeedbackFullscreen(false);
     };
     window.addEventListener("keydown", onKeyDown);
     return () => window.removeEventListener("keydown", onKeyDown);
-  }, [feedbackFullscreen]);
+  }, [feedbackFullscreen, journeyUser]);
+
+  // User ids for the search box, and the journey of the selected user across all languages
+  const userIds = useMemo(
+    () => Array.from(new Set(pipeline.classified.map((r) => r.user_id))).sort((a, b) => a.localeCompare(b)),
+    [pipeline.classified]
+  );
+  const journey = useMemo(() => {
+    if (!journeyUser) return [];
+    const entries = pipeline.classified
+      .filter((r) => r.user_id === journeyUser)
+      .map((r) => feedbackEntry(r, { mode: dominanceMode, minScore, personaKeys, overrides, granularity }));
+    return userTimeline({ userId: journeyUser, entries, presence: pipeline.presence, granularity });
+  }, [journeyUser, pipeline.classified, pipeline.presence, dominanceMode, minScore, personaKeys, overrides, granularity]);
 
   return (
     <div className="min-h-screen w-full bg-slate-50 p-4 md:p-8">
@@ -832,49 +872,130 @@ const month = hasMonth
           <div>
             <div className="flex items-center gap-2">
               <div className="text-2xl font-semibold tracking-tight">Persona Retention Dashboard</div>
-              <Badge variant="secondary" className="rounded-full">Monthly</Badge>
+              <Badge variant="secondary" className="rounded-full">{gran.label}</Badge>
+              <Badge variant="outline" className="rounded-full">{configStamp}</Badge>
             </div>
             <div className="mt-1 text-sm text-slate-600">
-              Keyword-based persona detection → dominant persona per user-month → next-month retention.
+              Keyword-based persona detection → dominant persona per user-{gran.noun} → next-{gran.noun} retention.
             </div>
           </div>
 
           <div className="flex flex-wrap items-center gap-2">
+            <Select value={granularity} onValueChange={setGranularity}>
+              <SelectTrigger className="w-[150px] rounded-xl bg-white">
+                <SelectValue placeholder="Period" />
+              </SelectTrigger>
+              <SelectContent>
+                {GRANULARITIES.map((g) => (
+                  <SelectItem key={g.key} value={g.key}>
+                    {g.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={timeZone} onValueChange={setTimeZone}>
+              <SelectTrigger className="w-[200px] rounded-xl bg-white" title="Reporting timezone">
+                <SelectValue placeholder="Timezone" />
+              </SelectTrigger>
+              <SelectContent>
+                {TIME_ZONES.map((tz) => (
+                  <SelectItem key={tz} value={tz}>
+                    {tz}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
             <Button
               variant="outline"
               className="rounded-xl"
               onClick={() => fileInputRef.current?.click()}
             >
-              <Upload className="mr-2 h-4 w-4" /> Upload CSV
+              <Upload className="mr-2 h-4 w-4" /> Upload data
             </Button>
             <input
               ref={fileInputRef}
               type="file"
-              accept=".csv,text/csv"
+              accept={`.csv,text/csv,${SPREADSHEET_ACCEPT},${JSON_ACCEPT}`}
               className="hidden"
               onChange={(e) => handleUpload(e.target.files?.[0], e.target)}
             />
             <Button
               variant="outline"
               className="rounded-xl"
-              onClick={() => downloadCSV("persona_retention_export.csv", filteredRows.map((r) => ({
-                month: r.month,
-                persona: personaLabel(r.persona),
+              onClick={() => setMappingDialogOpen(true)}
+              disabled={!headers.length}
+            >
+              <Columns3 className="mr-2 h-4 w-4" /> Map columns
+            </Button>
+            <Button
+              variant="outline"
+              className="rounded-xl"
+              onClick={() => downloadCSV(`persona_retention_${granularity}_export.csv`, filteredRows.map((r) => ({
+                granularity,
+                language: languageFilter,
+                period: r.period,
+                persona: labelFor(r.persona),
                 users: r.users,
                 retained: r.retained,
                 churned: r.churned,
                 retention_pct: Math.round(r.retention * 1000) / 10,
-                retention_mom_pp: r.retention_mom === null ? "" : Math.round(r.retention_mom * 1000) / 10,
-                users_mom: r.users_mom === null ? "" : r.users_mom,
+                retention_ci_low_pct: Math.round(r.ci_low * 1000) / 10,
+                retention_ci_high_pct: Math.round(r.ci_high * 1000) / 10,
+                retention_smoothed_pct: Math.round(r.retention_smoothed * 1000) / 10,
+                smoothed_toward: computed.smoothingTarget,
+                retention_delta_pp: r.retention_delta === null ? "" : Math.round(r.retention_delta * 1000) / 10,
+                retention_vs_all_pp: r.retention_vs_all === null ? "" : Math.round(r.retention_vs_all * 1000) / 10,
+                retention_delta_p: r.retention_delta_p === null ? "" : Math.round(r.retention_delta_p * 10000) / 10000,
+                retention_delta_significant: r.retention_delta_significant ? 1 : 0,
+                users_delta: r.users_delta === null ? "" : r.users_delta,
+                keyword_config: configStamp,
               })))}
             >
               <Download className="mr-2 h-4 w-4" /> Export table
             </Button>
           </div>
-          {(csvInfo || csvError) && (
+          {(csvInfo || importError || pipeline.progress) && (
   <div className="mt-3 w-full rounded-2xl border bg-white p-3 text-sm">
     {csvInfo && <div className="font-medium text-slate-800">Loaded: {csvInfo}</div>}
-    {csvError && <div className="mt-1 text-red-600">{csvError}</div>}
+    {pipeline.progress && (
+      <div className="mt-2 flex items-center gap-3">
+        <div className="h-2 flex-1 overflow-hidden rounded-full bg-slate-100">
+          <div className="h-full bg-slate-800 transition-all" style={{ width: `${progressPct}%` }} />
+        </div>
+        <div className="whitespace-nowrap text-xs text-slate-600">
+          {pipeline.progress.phase === "classifying" ? "Classifying" : pipeline.progress.phase === "parsing" ? "Parsing" : "Reading"} {progressPct}%
+        </div>
+        {pipeline.progress.phase !== "classifying" && (
+          <Button variant="outline" size="sm" className="h-8 rounded-xl" onClick={pipeline.cancel}>
+            <X className="mr-2 h-4 w-4" />
+            Cancel
+          </Button>
+        )}
+      </div>
+    )}
+    {dataset?.sheetNames?.length > 1 && (
+      <div className="mt-2 flex items-center gap-2">
+        <div className="text-xs text-slate-600">Sheet</div>
+        <Select value={dataset.sheet} onValueChange={(name) => pipeline.selectSheet(name)}>
+          <SelectTrigger className="h-8 w-[220px] rounded-xl bg-white">
+            <SelectValue placeholder="Sheet" />
+          </SelectTrigger>
+          <SelectContent>
+            {dataset.sheetNames.map((n) => (
+              <SelectItem key={n} value={n}>
+                {n}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+    )}
+    {pipeline.report?.rejected > 0 && (
+      <div className="mt-1 text-amber-700">
+        {pipeline.report.rejected} of {pipeline.report.dataRows} rows rejected. See the Import report below.
+      </div>
+    )}
+    {importError && <div className="mt-1 text-red-600">{importError}</div>}
   </div>
 )}
         </div>
@@ -886,7 +1007,13 @@ const month = hasMonth
               <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
                 <div>
                   <CardTitle className="text-base">Trends</CardTitle>
-                  <CardDescription>{view === "retention" ? "Retention % per persona" : "Persona size (users) per month"}</CardDescription>
+                  <CardDescription>
+                    {view === "retention"
+                      ? smoothing === "off"
+                        ? "Retention % per persona"
+                        : `Smoothed retention % per persona (prior strength ${Math.round(computed.smoothingStrength)} users)`
+                      : `Persona size (users) per ${gran.noun}`}
+                  </CardDescription>
                 </div>
                 <div className="flex flex-wrap gap-2">
                   <Select value={view} onValueChange={setView}>
@@ -905,8 +1032,54 @@ const month = hasMonth
                     <SelectContent>
                       <SelectItem value="dominant">Dominant persona</SelectItem>
                       <SelectItem value="multi">Multi-label (all flags)</SelectItem>
+                      <SelectItem value="weighted">Weighted score</SelectItem>
+                      <SelectItem value="model">Trained classifier</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  {view === "retention" && (
+                    <Select value={smoothing} onValueChange={setSmoothing}>
+                      <SelectTrigger className="w-[220px] rounded-xl bg-white">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="off">Raw retention</SelectItem>
+                        <SelectItem value="persona">Smoothed → persona average</SelectItem>
+                        <SelectItem value="overall">Smoothed → overall average</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  )}
+                  {view === "retention" && (
+                    <label className="flex items-center gap-1 text-xs text-slate-700">
+                      <input type="checkbox" checked={showBands} onChange={(e) => setShowBands(e.target.checked)} />
+                      {smoothing === "off" ? "95% CI" : "95% CI of raw rates"}
+                    </label>
+                  )}
+                  <Select value={languageFilter} onValueChange={setLanguageFilter}>
+                    <SelectTrigger className="w-[180px] rounded-xl bg-white">
+                      <SelectValue placeholder="Language" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">All languages</SelectItem>
+                      {[...LANGUAGES.map((l) => l.key), UNDETERMINED].map((k) => (
+                        <SelectItem key={k} value={k}>
+                          {languageLabel(k)} ({languageCounts[k] || 0})
+                        </SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
+                  {dominanceMode === "weighted" && (
+                    <div className="flex items-center gap-2">
+                      <div className="text-xs text-slate-600">Min score</div>
+                      <Input
+                        value={minScore}
+                        onChange={(e) => setMinScore(Math.max(0, parseFloat(e.target.value || "0")))}
+                        className="h-9 w-20 rounded-xl bg-white"
+                        type="number"
+                        min={0}
+                        step={0.5}
+                      />
+                    </div>
+                  )}
                 </div>
               </div>
             </CardHeader>
@@ -914,13 +1087,13 @@ const month = hasMonth
               <div className="flex-1">
                 <ResponsiveContainer width="100%" height="100%">
                   {view === "retention" ? (
-                    <LineChart
+                    <ComposedChart
                       data={chartData}
                       margin={{ top: 10, right: 10, left: 0, bottom: 0 }}
                       onClick={handleChartClick}
                     >
                       <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="month" />
+                      <XAxis dataKey="period" />
                       <YAxis tickFormatter={(v) => (view === "retention" ? `${v}%` : v)} />
                       <Tooltip
                         content={
@@ -930,33 +1103,62 @@ const month = hasMonth
                         }
                       />
                       <Legend />
+                      {showBands &&
+                        seriesDefs.map((s) => (
+                          <Area
+                            key={`ci:${s.key}`}
+                            name={`${s.label} (95% CI)`}
+                            type="monotone"
+                            dataKey={`ci:${s.key}`}
+                            stroke="none"
+                            fill={s.color}
+                            fillOpacity={0.12}
+                            legendType="none"
+                            activeDot={false}
+                            isAnimationActive={false}
+                          />
+                        ))}
                       {seriesDefs.map((s) => (
                         <Line
                           key={s.key}
                           name={s.label}
                           type="monotone"
-                          dataKey={s.label}
+                          dataKey={s.key}
                           dot={false}
                           strokeWidth={2}
                           stroke={s.color}
+                          strokeDasharray={s.baseline ? "6 4" : undefined}
                         />
                       ))}
-                    </LineChart>
+                    </ComposedChart>
                   ) : (
-                    <BarChart
+                    <ComposedChart
                       data={chartData}
                       margin={{ top: 10, right: 10, left: 0, bottom: 0 }}
                       onClick={handleChartClick}
                     >
                       <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="month" />
+                      <XAxis dataKey="period" />
                       <YAxis />
                       <Tooltip content={<TooltipBox />} />
                       <Legend />
-                      {seriesDefs.map((s) => (
-                        <Bar key={s.key} name={s.label} dataKey={s.label} fill={s.color} />
-                      ))}
-                    </BarChart>
+                      {seriesDefs.map((s) =>
+                        s.baseline ? (
+                          <Line
+                            key={s.key}
+                            name={s.label}
+                            type="monotone"
+                            dataKey={s.key}
+                            dot={false}
+                            strokeWidth={2}
+                            stroke={s.color}
+                            strokeDasharray="6 4"
+                          />
+                        ) : (
+                          <Bar key={s.key} name={s.label} dataKey={s.key} fill={s.color} />
+                        )
+                      )}
+                    </ComposedChart>
                   )}
                 </ResponsiveContainer>
               </div>
@@ -968,12 +1170,13 @@ const month = hasMonth
                   <div>
                     <CardTitle className="text-base">User feedback</CardTitle>
                     <CardDescription>
-                      Feedback entries for <span className="font-medium">{monthDetailMonth || "—"}</span> (click a month in the chart to change)
+                      Feedback entries for <span className="font-medium">{detailPeriod || "—"}</span> (click a {gran.noun} in the chart to change)
                     </CardDescription>
                   </div>
                   <div className="flex items-center gap-3">
+                    <UserSearch userIds={userIds} onSelect={setJourneyUser} />
                     <div className="text-xs text-slate-600">
-                      {monthDetails.length} entries
+                      {periodDetails.length} entries
                     </div>
                     <div className="flex items-center gap-2">
                       <div className="text-xs text-slate-600">Min chars</div>
@@ -994,7 +1197,7 @@ const month = hasMonth
                       size="sm"
                       className="h-8 rounded-xl"
                       onClick={() => setFeedbackFullscreen(true)}
-                      disabled={!monthDetails.length}
+                      disabled={!periodDetails.length}
                     >
                       <Maximize2 className="mr-2 h-4 w-4" />
                       Full screen
@@ -1011,37 +1214,51 @@ const month = hasMonth
                         <TableRow>
                           <TableHead>User</TableHead>
                           <TableHead>Persona</TableHead>
+                          <TableHead>Language</TableHead>
+                          {dominanceMode === "weighted" && <TableHead>Score</TableHead>}
                           <TableHead>Feedback</TableHead>
                         </TableRow>
                       </TableHeader>
                       <TableBody>
-                        {monthDetails.map((r, idx) => (
+                        {periodDetails.map((r, idx) => (
                           <TableRow key={`${r.user_id}_${idx}`}>
                             <TableCell className="whitespace-nowrap font-medium">
-                              {r.user_id}
+                              <UserLink id={r.user_id} onOpen={setJourneyUser} />
                             </TableCell>
-                            <TableCell className="whitespace-nowrap">
-                              {r.persona ? (
-                                <div className="flex items-center gap-2">
-                                  <span
-                                    className="h-2.5 w-2.5 rounded-full"
-                                    style={{ backgroundColor: personaColor(r.persona) }}
-                                  />
-                                  <span>{personaLabel(r.persona)}</span>
-                                </div>
-                              ) : (
-                                "—"
-                              )}
+                            <TableCell className="whitespace-nowrap align-top">
+                              <PersonaOverrideSelect
+                                value={r.override}
+                                predicted={r.predicted}
+                                personas={personas}
+                                labelFor={labelFor}
+                                colorFor={colorFor}
+                                onChange={(persona) => overridePersona(r, persona)}
+                              />
+                            </TableCell>
+                            <TableCell className="whitespace-nowrap align-top text-sm text-slate-600">
+                              {languageLabel(r.language)}
                             </TableCell>
-                            <TableCell className="whitespace-pre-wrap text-sm leading-6 text-slate-700">
-                              {r.text}
+                            {dominanceMode === "weighted" && (
+                              <TableCell className="min-w-[180px] align-top">
+                                <ScoreBreakdown scores={r.scores} hits={r.hits} labelFor={labelFor} colorFor={colorFor} />
+                              </TableCell>
+                            )}
+                            <TableCell className="text-sm leading-6 text-slate-700">
+                              <FeedbackText
+                                entry={r}
+                                packs={compiledPacks}
+                                normalization={normalization}
+                                personas={personas}
+                                mode={dominanceMode}
+                                minScore={minScore}
+                              />
                             </TableCell>
                           </TableRow>
                         ))}
-                        {!monthDetails.length && (
+                        {!periodDetails.length && (
                           <TableRow>
-                            <TableCell colSpan={3} className="py-10 text-center text-sm text-slate-600">
-                              No entries for this month (or they are below the Min chars filter). Click a month in the chart or lower the filter.
+                            <TableCell colSpan={dominanceMode === "weighted" ? 5 : 4} className="py-10 text-center text-sm text-slate-600">
+                              No entries for this {gran.noun} (or they are below the Min chars filter). Click a {gran.noun} in the chart or lower the filter.
                             </TableCell>
                           </TableRow>
                         )}
@@ -1054,95 +1271,152 @@ const month = hasMonth
           </div>
           <Card className="rounded-2xl shadow-sm">
             <CardHeader>
-              <CardTitle className="text-base">Keywords</CardTitle>
-              <CardDescription>Edit keyword lists (comma-separated)</CardDescription>
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <CardTitle className="text-base">Keywords</CardTitle>
+                  <CardDescription>Edit keyword lists (comma-separated)</CardDescription>
+                </div>
+                <Button variant="outline" size="sm" className="h-8 rounded-xl" onClick={() => setPersonaEditorOpen(true)}>
+                  <Users className="mr-2 h-4 w-4" />
+                  Edit personas
+                </Button>
+              </div>
             </CardHeader>
             <CardContent className="space-y-3">
-              {PERSONAS.map((p) => {
-                const Icon = p.icon;
+              <KeywordConfigPanel
+                key={activeConfig?.name || ""}
+                configs={keywordConfigs}
+                activeConfig={activeConfig}
+                modified={configModified}
+                onSwitch={switchConfig}
+                onSave={saveConfig}
+                onDelete={removeConfig}
+                onImport={handleConfigImport}
+                onExport={exportConfig}
+              />
+
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="text-xs text-slate-600">Keyword pack</div>
+                {LANGUAGES.map((l) => (
+                  <Button
+                    key={l.key}
+                    variant={keywordLanguage === l.key ? "default" : "outline"}
+                    size="sm"
+                    className="h-8 rounded-xl"
+                    onClick={() => setKeywordLanguage(l.key)}
+                  >
+                    {l.label}
+                  </Button>
+                ))}
+              </div>
+              <div className="text-xs text-slate-600">
+                Entries use the pack of their detected language; entries without a clear language use all packs.
+              </div>
+
+              <NormalizationSettings value={normalization} onChange={(v) => setNormalization(storeNormalization(v))} />
+
+              {personas.map((p, idx) => {
+                const Icon = personaIcon(p.icon);
                 return (
                   <div key={p.key} className="rounded-2xl border bg-white p-3">
                     <div className="flex items-start justify-between gap-3">
                       <div className="min-w-0">
                         <div className="flex items-center gap-2">
-                          <Icon className="h-4 w-4" />
+                          <Icon className="h-4 w-4" style={{ color: p.color }} />
                           <div className="text-sm font-semibold">{p.label}</div>
-                          <Badge variant="secondary" className="rounded-full">P{p.priority}</Badge>
+                          <Badge variant="secondary" className="rounded-full">P{idx + 1}</Badge>
                         </div>
                         <div className="mt-1 text-xs text-slate-600">{p.description}</div>
                       </div>
                     </div>
-                    <Input
-                      className="mt-2 rounded-xl bg-slate-50"
-                      value={(keywords[p.key] || []).join(", ")}
-                      onChange={(e) => {
-                        const parts = e.target.value
-                          .split(",")
-                          .map((x) => x.trim())
-                          .filter(Boolean);
-                        setKeywords((prev) => ({ ...prev, [p.key]: parts }));
-                      }}
+                    <KeywordRulesInput
+                      value={keywords[keywordLanguage]?.[p.key] || []}
+                      onChange={(rules) =>
+                        setKeywords((prev) => ({ ...prev, [keywordLanguage]: { ...prev[keywordLanguage], [p.key]: rules } }))
+                      }
                     />
                   </div>
                 );
               })}
 
               <div className="rounded-2xl border bg-slate-50 p-3 text-sm text-slate-700">
-                <div className="text-sm font-semibold">Tip</div>
-                <div className="mt-1 text-sm text-slate-600">
-                  Keep short phrases. The matcher is case-insensitive and uses simple “contains”.
+                <div className="text-sm font-semibold">Rule syntax</div>
+                <div className="mt-1 space-y-0.5 text-sm text-slate-600">
+                  <div>Case-insensitive. Plain text matches anywhere, also inside longer words.</div>
+                  <div><span className="font-mono">"weer"</span> whole word only • <span className="font-mono">frustr*</span> word prefix</div>
+                  <div><span className="font-mono">/niet (meer )?te/</span> regular expression</div>
+                  <div><span className="font-mono">onbetrouwbaar !niet</span> skip when “niet” is within 3 words before (<span className="font-mono">!niet:5</span> for 5)</div>
+                  <div><span className="font-mono">app near crash</span> both within 5 words (<span className="font-mono">near/3</span>)</div>
+                  <div><span className="font-mono">klaar mee ^3</span> weight 3 in Weighted score mode</div>
                 </div>
               </div>
             </CardContent>
           </Card>
         </div>
 
-
+        <KeywordDiscoveryCard
+          rows={computed.classified}
+          latestPeriod={computed.periods[computed.periods.length - 1]}
+          periodNoun={`user-${gran.noun}`}
+          normalization={normalization}
+          packs={compiledPacks}
+          personas={personas}
+          defaultLanguage={keywordLanguage}
+          onAdd={addKeywordRule}
+        />
+
+        <KeywordAnalyticsCard
+          rows={computed.classified}
+          keywords={keywords}
+          personas={personas}
+          periods={computed.periods}
+          latestPeriod={computed.periods[computed.periods.length - 1]}
+          mode={dominanceMode}
+          minScore={minScore}
+          periodNoun={`user-${gran.noun}`}
+        />
+
+        <CohortCard
+          presence={pipeline.presence}
+          entries={computed.assignments}
+          personas={personas}
+          granularity={granularity}
+          gran={gran}
+        />
+
+        <TransitionCard
+          entries={computed.assignments}
+          periods={computed.periods}
+          personas={personas}
+          granularity={granularity}
+          gran={gran}
+          onUser={setJourneyUser}
+        />
 
         <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
-          <Card className="rounded-2xl shadow-sm">
-            <CardHeader>
-              <CardTitle className="text-base">Spotlight: Trust erosion</CardTitle>
-              <CardDescription>Latest month ({spotlight.lastMonth || "—"})</CardDescription>
-            </CardHeader>
-            <CardContent className="space-y-2">
-              <InfoRow label="Users" value={spotlight.trust.users} />
-              <InfoRow label="Retention" value={spotlight.trust.retention} />
-              <div className="flex items-center justify-between gap-3">
-                <div className="text-sm text-slate-600">MoM Δ</div>
-                <div className="flex items-center gap-2">
-                  <Pill tone={spotlight.trust.retentionDelta.startsWith("+") ? "good" : spotlight.trust.retentionDelta.startsWith("-") ? "danger" : "neutral"}>
-                    {spotlight.trust.retentionDelta}
-                  </Pill>
-                  <Pill tone={spotlight.trust.usersDelta.startsWith("+") ? "warn" : "neutral"}>
-                    users {spotlight.trust.usersDelta}
-                  </Pill>
-                </div>
-              </div>
-            </CardContent>
-          </Card>
-
-          <Card className="rounded-2xl shadow-sm">
-            <CardHeader>
-              <CardTitle className="text-base">Spotlight: Veteran & habit</CardTitle>
-              <CardDescription>High-LTV segment watch</CardDescription>
-            </CardHeader>
-            <CardContent className="space-y-2">
-              <InfoRow label="Users" value={spotlight.veteran.users} />
-              <InfoRow label="Retention" value={spotlight.veteran.retention} />
-              <div className="flex items-center justify-between gap-3">
-                <div className="text-sm text-slate-600">MoM Δ</div>
-                <div className="flex items-center gap-2">
-                  <Pill tone={spotlight.veteran.retentionDelta.startsWith("+") ? "good" : spotlight.veteran.retentionDelta.startsWith("-") ? "danger" : "neutral"}>
-                    {spotlight.veteran.retentionDelta}
-                  </Pill>
-                  <Pill tone={spotlight.veteran.usersDelta.startsWith("+") ? "warn" : "neutral"}>
-                    users {spotlight.veteran.usersDelta}
-                  </Pill>
+          {spotlight.cards.map((c) => (
+            <Card key={c.persona.key} className="rounded-2xl shadow-sm">
+              <CardHeader>
+                <CardTitle className="text-base">Spotlight: {c.persona.label}</CardTitle>
+                <CardDescription>Latest complete {gran.noun} ({spotlight.lastPeriod || "—"})</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                <InfoRow label="Users" value={c.users} />
+                <InfoRow label="Retention" value={c.retention} />
+                <div className="flex items-center justify-between gap-3">
+                  <div className="text-sm text-slate-600">{gran.delta}</div>
+                  <div className="flex items-center gap-2">
+                    <Pill tone={!c.retentionSignificant ? "neutral" : c.retentionDelta.startsWith("+") ? "good" : c.retentionDelta.startsWith("-") ? "danger" : "neutral"}>
+                      {c.retentionDelta}{c.retentionSignificant ? " *" : ""}
+                    </Pill>
+                    <Pill tone={c.usersSignificant && c.usersDelta.startsWith("+") ? "warn" : "neutral"}>
+                      users {c.usersDelta}{c.usersSignificant ? " *" : ""}
+                    </Pill>
+                  </div>
                 </div>
-              </div>
-            </CardContent>
-          </Card>
+              </CardContent>
+            </Card>
+          ))}
 
           <Card className="rounded-2xl shadow-sm">
             <CardHeader>
@@ -1150,17 +1424,123 @@ const month = hasMonth
               <CardDescription>Quick sanity checks</CardDescription>
             </CardHeader>
             <CardContent className="space-y-2">
-              <InfoRow label="User-month rows" value={computed.classified.length} />
-              <InfoRow label="Months" value={computed.months.length} />
+              <InfoRow label={`User-${gran.noun} rows`} value={computed.classified.length} />
+              <InfoRow label={`${gran.column}s`} value={computed.periods.length} />
+              <InfoRow
+                label="Coverage (classified)"
+                value={computed.coverage === null ? "—" : `${Math.round(computed.coverage * 1000) / 10}%`}
+              />
               <InfoRow
                 label="Mode"
-                value={dominanceMode === "dominant" ? "Dominant persona" : "Multi-label"}
+                value={MODE_LABELS[dominanceMode]}
               />
+              <InfoRow
+                label="Retention source"
+                value={activityStats ? "Activity log" : "Feedback data"}
+              />
+              {normalizationStats && (
+                <>
+                  <InfoRow
+                    label={`Rule matches${normalizationStats.sampled ? ` (sample of ${normalizationStats.entries})` : ""}`}
+                    value={`${normalizationStats.total} (${normalizationStats.base} without normalization)`}
+                  />
+                  {normalizationStats.steps.map((step) => (
+                    <InfoRow
+                      key={step.key}
+                      label={`+ ${NORMALIZATION_STEPS.find((x) => x.key === step.key).label}`}
+                      value={<Pill tone={step.extra > 0 ? "good" : "neutral"}>{step.extra > 0 ? `+${step.extra}` : step.extra}</Pill>}
+                    />
+                  ))}
+                </>
+              )}
+              {activityStats && (
+                <>
+                  <InfoRow
+                    label="Feedback users in log"
+                    value={`${activityStats.matched} / ${activityStats.feedbackUsers}`}
+                  />
+                  <InfoRow
+                    label="Feedback users not in log"
+                    value={<Pill tone={activityStats.unmatched ? "warn" : "good"}>{activityStats.unmatched}</Pill>}
+                  />
+                  <InfoRow label="Activity-only users" value={activityStats.activityOnly} />
+                  {activityStats.droppedRows > 0 && (
+                    <InfoRow
+                      label="Activity rows dropped"
+                      value={<Pill tone="warn">{activityStats.droppedRows}</Pill>}
+                    />
+                  )}
+                </>
+              )}
+              <div className="flex flex-wrap items-center gap-2 pt-1">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="h-8 rounded-xl"
+                  onClick={() => activityInputRef.current?.click()}
+                >
+                  <Upload className="mr-2 h-4 w-4" />
+                  {activityDataset ? "Replace activity log" : "Upload activity log"}
+                </Button>
+                <input
+                  ref={activityInputRef}
+                  type="file"
+                  accept={`.csv,text/csv,${SPREADSHEET_ACCEPT},${JSON_ACCEPT}`}
+                  className="hidden"
+                  onChange={(e) => handleActivityUpload(e.target.files?.[0], e.target)}
+                />
+                {activityDataset && (
+                  <>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="h-8 rounded-xl"
+                      onClick={() => setActivityMappingOpen(true)}
+                    >
+                      <Columns3 className="mr-2 h-4 w-4" />
+                      Map
+                    </Button>
+                    <Button variant="outline" size="sm" className="h-8 rounded-xl" onClick={clearActivity}>
+                      <X className="mr-2 h-4 w-4" />
+                      Remove
+                    </Button>
+                  </>
+                )}
+              </div>
+              {activityDataset && (
+                <div className="text-xs text-slate-600">
+                  {activityInfo || "Activity log"} • {activityDataset.rowCount} rows
+                  {!activeActivityMapping && " • map a user id and date column to use it"}
+                </div>
+              )}
+              {activityDataset?.sheetNames?.length > 1 && (
+                <Select value={activityDataset.sheet} onValueChange={(name) => pipeline.selectSheet(name, "activity")}>
+                  <SelectTrigger className="h-8 w-[220px] rounded-xl bg-white">
+                    <SelectValue placeholder="Sheet" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {activityDataset.sheetNames.map((n) => (
+                      <SelectItem key={n} value={n}>
+                        {n}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
               <div className="mt-2 rounded-xl border bg-slate-50 p-3 text-sm text-slate-700">
                 <div className="flex items-start gap-2">
                   <Info className="mt-0.5 h-4 w-4" />
                   <div>
-                    If you don’t provide <span className="font-medium">active_next_month</span>, the app derives retention from the presence of the same user in the next month.
+                    {activityStats ? (
+                      <>
+                        Retention comes from the activity log: a user-{gran.noun} counts as retained when the user is active in the log the next {gran.noun}. <span className="font-medium">active_next_month</span> in the feedback data is ignored.
+                      </>
+                    ) : (
+                      <>
+                        If you don’t provide <span className="font-medium">active_next_month</span>, the app derives retention from the presence of the same user in the next {gran.noun}.
+                        {granularity !== "month" && <> For {gran.noun}s the column is ignored and presence is always used.</>} Upload an activity log to measure retention on actual activity instead of feedback presence.
+                      </>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1168,6 +1548,8 @@ const month = hasMonth
           </Card>
         </div>
 
+        <ImportReportCard report={pipeline.report} onDownloadRejected={downloadRejected} />
+
         <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
           <Card className="rounded-2xl shadow-sm">
             <CardHeader>
@@ -1191,7 +1573,7 @@ const month = hasMonth
                 <Input
                   value={query}
                   onChange={(e) => setQuery(e.target.value)}
-                  placeholder="Search month or persona…"
+                  placeholder={`Search ${gran.noun} or persona…`}
                   className="rounded-xl bg-white"
                 />
               </div>
@@ -1202,9 +1584,20 @@ const month = hasMonth
                   Recommended: <span className="font-medium">user_id, month, text</span> (+ optional <span className="font-medium">active_next_month</span>).
                   <br />
                   Raw: <span className="font-medium">user_id, created_at, text</span>.
+                  <br />
+                  Also Excel/ODS workbooks and JSON/NDJSON dumps (nested fields become paths like <span className="font-medium">comments[].body</span>).
+                  <br />
+                  Other headers: use <span className="font-medium">Map columns</span> and save the mapping as a preset.
                 </div>
                 <div className="mt-2 flex flex-wrap gap-2">
-                  <Button variant="outline" className="rounded-xl" onClick={() => setCsvText(SAMPLE)}>
+                  <Button
+                    variant="outline"
+                    className="rounded-xl"
+                    onClick={() => {
+                      loadText(SAMPLE);
+                      setMapping(null);
+                    }}
+                  >
                     Load sample
                   </Button>
                   <Button
@@ -1225,7 +1618,7 @@ const month = hasMonth
           <Card className="rounded-2xl shadow-sm">
             <CardHeader>
               <CardTitle className="text-base">Alerts</CardTitle>
-              <CardDescription>Rule-based interpretation for the latest month</CardDescription>
+              <CardDescription>Rule-based interpretation for the latest {gran.noun}</CardDescription>
             </CardHeader>
             <CardContent className="space-y-3">
               {riskNotes.map((n, idx) => (
@@ -1248,7 +1641,7 @@ const month = hasMonth
                   />
                 </div>
                 <div className="mt-2 text-xs text-slate-600">
-                  Alerts and table rows ignore persona-months below this threshold.
+                  Alerts and table rows ignore persona-{gran.noun}s below this threshold.
                 </div>
               </div>
             </CardContent>
@@ -1257,9 +1650,11 @@ const month = hasMonth
 
         <Card className="rounded-2xl shadow-sm">
           <CardHeader>
-            <CardTitle className="text-base">Monthly retention table</CardTitle>
+            <CardTitle className="text-base">{gran.label} retention table</CardTitle>
             <CardDescription>
-              Dominant persona per user-month. Retention = active again next month.
+              Dominant persona per user-{gran.noun}. Retention = active again next {gran.noun} (95% Wilson interval
+              below); “vs. All users” compares it with the baseline of the same {gran.noun}. * = significant change
+              (p &lt; {SIGNIFICANCE_LEVEL}); grey deltas are within noise.
             </CardDescription>
           </CardHeader>
           <CardContent>
@@ -1267,52 +1662,77 @@ const month = hasMonth
               <Table>
                 <TableHeader>
                   <TableRow>
-                    <TableHead>Month</TableHead>
+                    <TableHead>{gran.column}</TableHead>
                     <TableHead>Persona</TableHead>
                     <TableHead className="text-right">Users</TableHead>
                     <TableHead className="text-right">Retention</TableHead>
-                    <TableHead className="text-right">MoM Δ</TableHead>
+                    {smoothing !== "off" && <TableHead className="text-right">Smoothed</TableHead>}
+                    <TableHead className="text-right">vs. All users</TableHead>
+                    <TableHead className="text-right">{gran.delta}</TableHead>
                     <TableHead className="text-right">Users Δ</TableHead>
                   </TableRow>
                 </TableHeader>
                 <TableBody>
                   {filteredRows.map((r, idx) => {
-                    const meta = personaMeta(r.persona);
-                    const Icon = meta?.icon || Info;
+                    const Icon = personaIcon(personaByKey(segments, r.persona)?.icon);
                     const retentionPct = Math.round(r.retention * 1000) / 10;
-                    const mom = r.retention_mom === null ? null : Math.round(r.retention_mom * 1000) / 10;
-                    const usersMom = r.users_mom;
+                    const vsAll = r.retention_vs_all === null ? null : Math.round(r.retention_vs_all * 1000) / 10;
+                    const delta = r.retention_delta === null ? null : Math.round(r.retention_delta * 1000) / 10;
+                    const usersDelta = r.users_delta;
                     return (
-                      <TableRow key={`${r.month}_${r.persona}_${idx}`}>
-                        <TableCell className="font-medium">{r.month}</TableCell>
+                      <TableRow key={`${r.period}_${r.persona}_${idx}`}>
+                        <TableCell className="font-medium">{r.period}</TableCell>
                         <TableCell>
                           <div className="flex items-center gap-2">
                             <span
                               className="h-2.5 w-2.5 rounded-full"
-                              style={{ backgroundColor: personaColor(r.persona) }}
+                              style={{ backgroundColor: colorFor(r.persona) }}
                               aria-hidden="true"
                             />
                             <Icon className="h-4 w-4" />
-                            <span>{personaLabel(r.persona)}</span>
+                            <span>{labelFor(r.persona)}</span>
                           </div>
                         </TableCell>
                         <TableCell className="text-right">{r.users}</TableCell>
-                        <TableCell className="text-right">{retentionPct}%</TableCell>
                         <TableCell className="text-right">
-                          {mom === null ? (
-                            <span className="text-slate-500">—</span>
+                          {retentionPct}%
+                          <div className="text-xs text-slate-500">
+                            {Math.round(r.ci_low * 1000) / 10}–{Math.round(r.ci_high * 1000) / 10}%
+                          </div>
+                        </TableCell>
+                        {smoothing !== "off" && (
+                          <TableCell className="text-right">{Math.round(r.retention_smoothed * 1000) / 10}%</TableCell>
+                        )}
+                        <TableCell className="text-right">
+                          {vsAll === null ? (
+                            <span className="text-slate-500">baseline</span>
                           ) : (
-                            <Pill tone={mom < 0 ? "danger" : mom > 0 ? "good" : "neutral"}>
-                              {mom > 0 ? "+" : ""}{mom}pp
+                            <Pill tone={vsAll < 0 ? "danger" : vsAll > 0 ? "good" : "neutral"}>
+                              {vsAll > 0 ? "+" : ""}{vsAll}pp
                             </Pill>
                           )}
                         </TableCell>
                         <TableCell className="text-right">
-                          {usersMom === null ? (
+                          {r.retention_open ? (
+                            <span className="text-slate-500" title={`Retention is known once the next ${gran.noun} is in`}>
+                              n/a
+                            </span>
+                          ) : delta === null ? (
+                            <span className="text-slate-500">—</span>
+                          ) : (
+                            <span title={`p = ${Math.round(r.retention_delta_p * 1000) / 1000}`}>
+                              <Pill tone={!r.retention_delta_significant ? "neutral" : delta < 0 ? "danger" : "good"}>
+                                {delta > 0 ? "+" : ""}{delta}pp{r.retention_delta_significant ? " *" : ""}
+                              </Pill>
+                            </span>
+                          )}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {usersDelta === null ? (
                             <span className="text-slate-500">—</span>
                           ) : (
-                            <Pill tone={usersMom > 0 ? "warn" : "neutral"}>
-                              {usersMom > 0 ? "+" : ""}{usersMom}
+                            <Pill tone={usersDelta > 0 && r.users_delta_significant ? "warn" : "neutral"}>
+                              {usersDelta > 0 ? "+" : ""}{usersDelta}{r.users_delta_significant ? " *" : ""}
                             </Pill>
                           )}
                         </TableCell>
@@ -1322,7 +1742,7 @@ const month = hasMonth
 
                   {!filteredRows.length && (
                     <TableRow>
-                      <TableCell colSpan={6} className="py-10 text-center text-sm text-slate-600">
+                      <TableCell colSpan={smoothing === "off" ? 7 : 8} className="py-10 text-center text-sm text-slate-600">
                         No rows. Try lowering “Min users”, switching to “Multi-label”, or uploading data.
                       </TableCell>
                     </TableRow>
@@ -1333,19 +1753,101 @@ const month = hasMonth
           </CardContent>
         </Card>
 
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+          <div className="md:col-span-2">
+            <GoldSetCard
+              evaluation={evaluation}
+              overrideCount={Object.keys(overrides).length}
+              labelFor={labelFor}
+              colorFor={colorFor}
+              modeLabel={MODE_LABELS[dominanceMode === "multi" ? "dominant" : dominanceMode]}
+              onClear={() => setOverrides(clearOverrides())}
+            />
+          </div>
+          <ClassifierCard
+            model={model}
+            examples={trainingExamples.length}
+            personaKeys={personaKeys}
+            active={dominanceMode === "model"}
+            onTrain={() => setModel(storeModel(trainModel(trainingExamples, personas)))}
+            onImport={(m) => setModel(storeModel(m))}
+            onExport={() => downloadJSON("persona_classifier.json", model)}
+            onRemove={() => setModel(storeModel(null))}
+          />
+        </div>
+
         <Card className="rounded-2xl shadow-sm">
           <CardHeader>
             <CardTitle className="text-base">Raw data (CSV)</CardTitle>
             <CardDescription>Paste CSV here if you don’t want to upload a file.</CardDescription>
           </CardHeader>
           <CardContent>
+            {rawTextReadOnly && (
+              <div className="mb-2 text-xs text-slate-600">
+                {dataset.textTruncated ? "Large file: showing the first 512 KB, read-only." : "Imported file: shown read-only."} Paste or load a CSV to edit.
+              </div>
+            )}
             <textarea
               className="min-h-[200px] w-full rounded-2xl border bg-white p-3 font-mono text-xs leading-5 outline-none focus:ring-2 focus:ring-slate-200"
               value={csvText}
-              onChange={(e) => setCsvText(e.target.value)}
+              readOnly={rawTextReadOnly}
+              placeholder={dataset?.kind === "sheet" ? `Showing ${dataset.rowCount} rows from sheet “${dataset.sheet}”.` : ""}
+              onChange={(e) => loadText(e.target.value)}
             />
           </CardContent>
         </Card>
+        {mappingDialogOpen && (
+          <ColumnMappingDialog
+            headers={headers}
+            previewRows={dataset?.preview || []}
+            initialMapping={effectiveMapping}
+            presets={mappingPresets}
+            onApply={(m) => {
+              setMapping(m);
+              setMappingDialogOpen(false);
+            }}
+            onClose={() => setMappingDialogOpen(false)}
+            onSavePreset={(name, m) => setMappingPresets(savePreset(name, m, headers))}
+            onDeletePreset={(name) => setMappingPresets(deletePreset(name))}
+          />
+        )}
+        {activityMappingOpen && activityDataset && (
+          <ColumnMappingDialog
+            activity
+            headers={activityHeaders}
+            previewRows={activityDataset.preview || []}
+            initialMapping={effectiveActivityMapping}
+            presets={[]}
+            onApply={(m) => {
+              setActivityMapping(m);
+              setActivityMappingOpen(false);
+            }}
+            onClose={() => setActivityMappingOpen(false)}
+          />
+        )}
+        {personaEditorOpen && (
+          <PersonaEditor
+            personas={personas}
+            onApply={applyPersonas}
+            onClose={() => setPersonaEditorOpen(false)}
+          />
+        )}
+        {journeyUser && (
+          <UserJourneyPanel
+            userId={journeyUser}
+            timeline={journey}
+            personas={personas}
+            labelFor={labelFor}
+            colorFor={colorFor}
+            gran={gran}
+            packs={compiledPacks}
+            normalization={normalization}
+            mode={dominanceMode}
+            minScore={minScore}
+            onOverride={overridePersona}
+            onClose={() => setJourneyUser(null)}
+          />
+        )}
         {feedbackFullscreen && (
           <div className="fixed inset-0 z-50">
             <div
@@ -1356,10 +1858,10 @@ const month = hasMonth
               <div className="flex items-center justify-between gap-3 border-b p-4">
                 <div className="min-w-0">
                   <div className="text-sm font-semibold">
-                    User feedback for {monthDetailMonth || "—"}
+                    User feedback for {detailPeriod || "—"}
                   </div>
                   <div className="text-xs text-slate-600">
-                    {monthDetails.length} entries • Min chars {minEntryChars} • Press Esc to close
+                    {periodDetails.length} entries • Min chars {minEntryChars} • Press Esc to close
                   </div>
                 </div>
                 <Button
@@ -1379,41 +1881,54 @@ const month = hasMonth
                     <TableRow>
                       <TableHead>User</TableHead>
                       <TableHead>Persona</TableHead>
+                      <TableHead>Language</TableHead>
+                      {dominanceMode === "weighted" && <TableHead>Score</TableHead>}
                       <TableHead>Feedback</TableHead>
                     </TableRow>
                   </TableHeader>
                   <TableBody>
-                    {monthDetails.map((r, idx) => (
+                    {periodDetails.map((r, idx) => (
                       <TableRow key={`fs_${r.user_id}_${idx}`}>
                         <TableCell className="whitespace-nowrap font-medium">
-                          {r.user_id}
+                          <UserLink id={r.user_id} onOpen={setJourneyUser} />
                         </TableCell>
-                        <TableCell className="whitespace-nowrap">
-                          {r.persona ? (
-                            <div className="flex items-center gap-2">
-                              <span
-                                className="h-2.5 w-2.5 rounded-full"
-                                style={{ backgroundColor: personaColor(r.persona) }}
-                                aria-hidden="true"
-                              />
-                              <span>{personaLabel(r.persona)}</span>
-                            </div>
-                          ) : (
-                            "—"
-                          )}
+                        <TableCell className="whitespace-nowrap align-top">
+                          <PersonaOverrideSelect
+                            value={r.override}
+                            predicted={r.predicted}
+                            personas={personas}
+                            labelFor={labelFor}
+                            colorFor={colorFor}
+                            onChange={(persona) => overridePersona(r, persona)}
+                          />
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap align-top text-sm text-slate-600">
+                          {languageLabel(r.language)}
                         </TableCell>
-                        <TableCell className="whitespace-pre-wrap text-sm text-slate-700">
-                          {r.text}
+                        {dominanceMode === "weighted" && (
+                          <TableCell className="min-w-[200px] align-top">
+                            <ScoreBreakdown scores={r.scores} hits={r.hits} labelFor={labelFor} colorFor={colorFor} />
+                          </TableCell>
+                        )}
+                        <TableCell className="text-sm text-slate-700">
+                          <FeedbackText
+                            entry={r}
+                            packs={compiledPacks}
+                            normalization={normalization}
+                            personas={personas}
+                            mode={dominanceMode}
+                            minScore={minScore}
+                          />
                         </TableCell>
                       </TableRow>
                     ))}
-                    {!monthDetails.length && (
+                    {!periodDetails.length && (
                       <TableRow>
                         <TableCell
-                          colSpan={3}
+                          colSpan={dominanceMode === "weighted" ? 5 : 4}
                           className="py-10 text-center text-sm text-slate-600"
                         >
-                          No entries for this month (or they are below the Min chars filter). Click a month in the chart or lower the filter.
+                          No entries for this {gran.noun} (or they are below the Min chars filter). Click a {gran.noun} in the chart or lower the filter.
                         </TableCell>
                       </TableRow>
                     )}
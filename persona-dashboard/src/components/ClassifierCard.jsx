@@ -0,0 +1,118 @@
+import React, { useRef, useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Download, Sparkles, Trash2, Upload } from "lucide-react";
+import { InfoRow } from "@/components/InfoRow";
+import { ClassifierError, MIN_TRAINING_EXAMPLES, parseModelFile, unknownModelClasses } from "@/lib/classifier";
+
+const pct = (x) => `${Math.round(x * 1000) / 10}%`;
+
+// Naive Bayes classifier trained on the gold set: train, cross-validated accuracy next to the
+// keyword baseline, JSON export/import
+export default function ClassifierCard({ model, examples, personaKeys, active, onTrain, onImport, onExport, onRemove }) {
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  function train() {
+    setError("");
+    try {
+      onTrain();
+    } catch (e) {
+      if (!(e instanceof ClassifierError)) throw e;
+      setError(e.message);
+    }
+  }
+
+  async function handleImport(file) {
+    if (!file) return;
+    setError("");
+    try {
+      onImport(parseModelFile(await file.text()));
+    } catch (e) {
+      if (!(e instanceof ClassifierError)) throw e;
+      setError(`${file.name}: ${e.message}`);
+    }
+  }
+
+  const unknown = model ? unknownModelClasses(model, personaKeys) : [];
+  const enough = examples >= MIN_TRAINING_EXAMPLES;
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-base">Trained classifier</CardTitle>
+        <CardDescription>
+          Naive Bayes over words and word pairs, trained in the browser on the gold set
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <InfoRow label="Labelled entries" value={`${examples} (min ${MIN_TRAINING_EXAMPLES})`} />
+        {model ? (
+          <>
+            <InfoRow label="Trained on" value={`${model.examples} entries • ${new Date(model.trainedAt).toLocaleString()}`} />
+            {model.validation && (
+              <>
+                <InfoRow label={`Validation accuracy (${model.validation.folds}-fold)`} value={pct(model.validation.accuracy)} />
+                <InfoRow label="Keyword baseline, same entries" value={pct(model.validation.keywordAccuracy)} />
+                <div className="text-xs text-slate-600">
+                  The gold set card scores the classifier on its own training labels; compare models on the validation accuracy.
+                </div>
+              </>
+            )}
+          </>
+        ) : (
+          <div className="text-sm text-slate-600">
+            No model yet. {enough ? "Train one on the current labels." : "Label more entries by overriding personas in the User feedback table."}
+          </div>
+        )}
+
+        {active && !model && (
+          <div className="rounded-2xl border bg-amber-50 p-3 text-sm text-slate-700">
+            Classifier mode without a model: showing the keyword results.
+          </div>
+        )}
+        {!!unknown.length && (
+          <div className="rounded-2xl border bg-amber-50 p-3 text-sm text-slate-700">
+            The model predicts personas that no longer exist ({unknown.join(", ")}); those entries fall back to keywords.
+          </div>
+        )}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" size="sm" className="h-8 rounded-xl" disabled={!enough} onClick={train}>
+            <Sparkles className="mr-2 h-4 w-4" />
+            {model ? "Retrain" : "Train model"}
+          </Button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              handleImport(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+          <Button variant="outline" size="sm" className="h-8 rounded-xl" onClick={() => fileRef.current?.click()}>
+            <Upload className="mr-2 h-4 w-4" />
+            Import JSON
+          </Button>
+          <Button variant="outline" size="sm" className="h-8 rounded-xl" disabled={!model} onClick={onExport}>
+            <Download className="mr-2 h-4 w-4" />
+            Export JSON
+          </Button>
+          <Button variant="outline" size="sm" className="h-8 rounded-xl text-red-600" disabled={!model} onClick={onRemove}>
+            <Trash2 className="mr-2 h-4 w-4" />
+            Remove
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
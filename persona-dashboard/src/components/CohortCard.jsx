@@ -0,0 +1,173 @@
+import React, { useMemo, useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+} from "recharts";
+import { cohortRetention, DEFAULT_COHORT_HORIZON } from "@/lib/cohorts";
+
+const MAX_HORIZON = 24;
+const FIRST_SEEN = "__first_seen__";
+// Curves drawn at most; older cohorts stay in the heatmap
+const MAX_CURVES = 12;
+
+const pct = (x) => `${Math.round(x * 1000) / 10}%`;
+const cohortColor = (i, n) => `hsl(${Math.round(220 - (180 * i) / Math.max(1, n - 1))} 70% 45%)`;
+
+// Cohorts by first period seen (or first period with a chosen persona): share still present at
+// +1…+N periods, as a triangle heatmap and as overlaid curves.
+// entries: [{ user_id, period, personas, active }] as counted in the main aggregates.
+export default function CohortCard({ presence, entries, personas, granularity, gran }) {
+  const [anchor, setAnchor] = useState(FIRST_SEEN);
+  const [horizon, setHorizon] = useState(DEFAULT_COHORT_HORIZON);
+
+  const persona = personas.some((p) => p.key === anchor) ? anchor : null;
+  const data = useMemo(
+    () => cohortRetention({ presence, entries, persona, granularity, horizon }),
+    [presence, entries, persona, granularity, horizon]
+  );
+
+  const step = (k) => `${gran.column[0]}+${k}`;
+  const curves = data.cohorts.slice(-MAX_CURVES);
+  const chartData = Array.from({ length: data.horizon }, (_, i) => {
+    const obj = { step: step(i + 1), Average: data.average[i] === null ? null : Math.round(data.average[i] * 1000) / 10 };
+    for (const c of curves) obj[c.period] = c.retention[i] === null ? null : Math.round(c.retention[i] * 1000) / 10;
+    return obj;
+  });
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div>
+            <CardTitle className="text-base">Cohort retention</CardTitle>
+            <CardDescription>
+              Users by first {gran.noun} {persona ? "with the persona" : "seen"}; share still active {gran.noun}s later
+            </CardDescription>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <Select value={persona ? anchor : FIRST_SEEN} onValueChange={setAnchor}>
+              <SelectTrigger className="w-[240px] rounded-xl bg-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={FIRST_SEEN}>First seen (all users)</SelectItem>
+                {personas.map((p) => (
+                  <SelectItem key={p.key} value={p.key}>
+                    First entered: {p.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <div className="text-xs text-slate-600">{gran.column}s ahead</div>
+            <Input
+              value={horizon}
+              onChange={(e) => setHorizon(Math.min(MAX_HORIZON, Math.max(1, parseInt(e.target.value || "1", 10))))}
+              className="h-9 w-20 rounded-xl bg-white"
+              type="number"
+              min={1}
+              max={MAX_HORIZON}
+            />
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!data.cohorts.length ? (
+          <div className="text-sm text-slate-600">No cohorts yet. Load data{persona ? " with entries for this persona" : ""}.</div>
+        ) : (
+          <>
+            <div className="overflow-auto rounded-2xl border bg-white">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-xs text-slate-600">
+                    <th className="p-2 text-left font-medium">Cohort</th>
+                    <th className="p-2 text-right font-medium">Users</th>
+                    {chartData.map((d) => (
+                      <th key={d.step} className="p-2 text-center font-medium">
+                        {d.step}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.cohorts.map((c) => (
+                    <tr key={c.period} className="border-b last:border-0">
+                      <td className="p-2 font-medium">{c.period}</td>
+                      <td className="p-2 text-right tabular-nums">{c.size}</td>
+                      {c.retention.map((r, i) => (
+                        <td
+                          key={i}
+                          className="p-2 text-center tabular-nums"
+                          style={r === null ? undefined : { backgroundColor: `rgba(16, 185, 129, ${0.1 + r * 0.8})` }}
+                        >
+                          {r === null ? "" : pct(r)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr className="bg-slate-50 text-slate-700">
+                    <td className="p-2 font-medium">Average</td>
+                    <td className="p-2 text-right tabular-nums">{data.cohorts.reduce((sum, c) => sum + c.size, 0)}</td>
+                    {data.average.map((r, i) => (
+                      <td key={i} className="p-2 text-center tabular-nums">
+                        {r === null ? "" : pct(r)}
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            <div className="h-[320px]">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="step" />
+                  <YAxis tickFormatter={(v) => `${v}%`} domain={[0, 100]} />
+                  <Tooltip formatter={(v) => `${v}%`} />
+                  <Legend />
+                  {curves.map((c, i) => (
+                    <Line
+                      key={c.period}
+                      name={`${c.period} (${c.size})`}
+                      type="monotone"
+                      dataKey={c.period}
+                      dot={false}
+                      strokeWidth={1.5}
+                      stroke={cohortColor(i, curves.length)}
+                      connectNulls={false}
+                    />
+                  ))}
+                  <Line name="Average" type="monotone" dataKey="Average" dot={false} strokeWidth={3} stroke="#0f172a" strokeDasharray="6 4" />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            {data.cohorts.length > MAX_CURVES && (
+              <div className="text-xs text-slate-600">The chart shows the latest {MAX_CURVES} cohorts; the table has all of them.</div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,283 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Columns3, Save, Trash2, X } from "lucide-react";
+import { isActivityMappingValid, isMappingValid } from "@/lib/columnMapping";
+import { DATE_FORMATS, DEFAULT_TIME_ZONE, timeZoneOptions } from "@/lib/dates";
+
+// Radix Select does not allow an empty item value
+const NONE = "__none__";
+const TIME_ZONES = timeZoneOptions();
+
+function ColumnSelect({ label, hint, value, headers, onChange, optional = false }) {
+  return (
+    <div className="space-y-1">
+      <div className="text-sm font-medium">{label}</div>
+      <Select value={value || NONE} onValueChange={(v) => onChange(v === NONE ? "" : v)}>
+        <SelectTrigger className="rounded-xl bg-white">
+          <SelectValue placeholder="Pick a column" />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={NONE}>{optional ? "— none (derive) —" : "— pick a column —"}</SelectItem>
+          {headers.map((h) => (
+            <SelectItem key={h} value={h}>
+              {h}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {hint && <div className="text-xs text-slate-600">{hint}</div>}
+    </div>
+  );
+}
+
+// activity: mapping an activity log (user id + date only, no presets)
+export default function ColumnMappingDialog({
+  headers,
+  previewRows,
+  initialMapping,
+  presets,
+  onApply,
+  onClose,
+  onSavePreset,
+  onDeletePreset,
+  activity = false,
+}) {
+  const [draft, setDraft] = useState(initialMapping);
+  const [presetName, setPresetName] = useState("");
+
+  const set = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+  const toggleText = (h) =>
+    setDraft((prev) => {
+      const cur = prev.text || [];
+      return { ...prev, text: cur.includes(h) ? cur.filter((x) => x !== h) : [...cur, h] };
+    });
+
+  const valid = activity ? isActivityMappingValid(draft, headers) : isMappingValid(draft, headers);
+  const usable = presets.filter((p) => isMappingValid(p.mapping, headers));
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="absolute inset-4 md:inset-10 flex flex-col overflow-hidden rounded-2xl border bg-white shadow-xl">
+        <div className="flex items-center justify-between gap-3 border-b p-4">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 text-sm font-semibold">
+              <Columns3 className="h-4 w-4" /> {activity ? "Activity log mapping" : "Column mapping"}
+            </div>
+            <div className="text-xs text-slate-600">
+              {headers.length} columns detected •{" "}
+              {activity
+                ? "pick which columns hold the user id and the activity date"
+                : "pick which columns hold user id, date, text and retention"}
+            </div>
+          </div>
+          <Button variant="outline" size="sm" className="h-8 rounded-xl" onClick={onClose}>
+            <X className="mr-2 h-4 w-4" />
+            Cancel
+          </Button>
+        </div>
+
+        <div className="flex-1 space-y-4 overflow-auto p-4">
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+            <ColumnSelect label="User id" value={draft.user_id} headers={headers} onChange={(v) => set("user_id", v)} />
+            <div className="space-y-2">
+              <ColumnSelect
+                label="Timestamp / month"
+                hint="YYYY-MM, a date or an ISO timestamp."
+                value={draft.date}
+                headers={headers}
+                onChange={(v) => set("date", v)}
+              />
+              <Select value={draft.date_format || "auto"} onValueChange={(v) => set("date_format", v)}>
+                <SelectTrigger className="h-8 rounded-xl bg-white">
+                  <SelectValue placeholder="Date format" />
+                </SelectTrigger>
+                <SelectContent>
+                  {DATE_FORMATS.map((f) => (
+                    <SelectItem key={f.key} value={f.key}>
+                      {f.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div className="text-xs text-slate-600">
+                Auto-detect flags dates like 05/06/2025 as ambiguous unless the column settles the day/month order.
+              </div>
+              <Select
+                value={draft.source_time_zone || DEFAULT_TIME_ZONE}
+                onValueChange={(v) => set("source_time_zone", v)}
+              >
+                <SelectTrigger className="h-8 rounded-xl bg-white" title="Timezone of timestamps without an offset">
+                  <SelectValue placeholder="Source timezone" />
+                </SelectTrigger>
+                <SelectContent>
+                  {TIME_ZONES.map((tz) => (
+                    <SelectItem key={tz} value={tz}>
+                      {tz}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div className="text-xs text-slate-600">
+                Timestamps without an offset (like Typeform’s “Start Date (UTC)”) are read in this timezone, then
+                bucketed in the reporting timezone.
+              </div>
+            </div>
+            {!activity && (
+              <ColumnSelect
+                label="active_next_month"
+                hint="Optional 1/0. Without it, retention is derived from next-month presence."
+                value={draft.active_next_month}
+                headers={headers}
+                optional
+                onChange={(v) => set("active_next_month", v)}
+              />
+            )}
+          </div>
+
+          {!activity && (
+            <div className="space-y-1">
+              <div className="text-sm font-medium">Text columns</div>
+              <div className="text-xs text-slate-600">
+                Selected columns are concatenated in the order you pick them.
+              </div>
+              <div className="mt-2 flex flex-wrap gap-2">
+                {headers.map((h) => {
+                  const pos = (draft.text || []).indexOf(h);
+                  return (
+                    <button
+                      key={h}
+                      type="button"
+                      onClick={() => toggleText(h)}
+                      className={`max-w-[320px] truncate rounded-full border px-3 py-1 text-xs ${pos >= 0 ? "border-slate-900 bg-slate-900 text-white" : "bg-white text-slate-700 hover:bg-slate-50"}`}
+                      title={h}
+                    >
+                      {pos >= 0 ? `${pos + 1}. ` : ""}{h}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <div className="overflow-auto rounded-2xl border bg-white">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  {headers.map((h) => (
+                    <TableHead key={h} className="max-w-[240px] truncate whitespace-nowrap" title={h}>
+                      {h}
+                      {h === draft.user_id && <Badge variant="secondary" className="ml-2 rounded-full">user</Badge>}
+                      {h === draft.date && <Badge variant="secondary" className="ml-2 rounded-full">date</Badge>}
+                      {(draft.text || []).includes(h) && <Badge variant="secondary" className="ml-2 rounded-full">text</Badge>}
+                      {h === draft.active_next_month && <Badge variant="secondary" className="ml-2 rounded-full">active</Badge>}
+                    </TableHead>
+                  ))}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {previewRows.map((r, idx) => (
+                  <TableRow key={idx}>
+                    {headers.map((h) => (
+                      <TableCell key={h} className="max-w-[240px] truncate text-xs text-slate-700" title={r[h]}>
+                        {r[h]}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+
+          {!activity && (
+            <div className="rounded-2xl border bg-slate-50 p-3">
+              <div className="text-sm font-semibold">Presets</div>
+              <div className="mt-1 text-xs text-slate-600">
+                Saved presets are applied automatically when an upload has the same columns.
+              </div>
+              <div className="mt-2 flex flex-wrap items-center gap-2">
+                <Input
+                  value={presetName}
+                  onChange={(e) => setPresetName(e.target.value)}
+                  placeholder="Preset name, e.g. Typeform suggestions"
+                  className="h-8 w-72 rounded-xl bg-white"
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="h-8 rounded-xl"
+                  disabled={!valid || !presetName.trim()}
+                  onClick={() => {
+                    onSavePreset(presetName, draft);
+                    setPresetName("");
+                  }}
+                >
+                  <Save className="mr-2 h-4 w-4" />
+                  Save preset
+                </Button>
+              </div>
+              {!!presets.length && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {presets.map((p) => {
+                    const fits = usable.includes(p);
+                    return (
+                      <div key={p.name} className="flex items-center gap-1 rounded-full border bg-white px-2 py-0.5 text-xs">
+                        <button
+                          type="button"
+                          className={fits ? "font-medium hover:underline" : "text-slate-400"}
+                          disabled={!fits}
+                          onClick={() => setDraft(p.mapping)}
+                          title={fits ? "Load this preset" : "Columns of this preset are missing in the current file"}
+                        >
+                          {p.name}
+                        </button>
+                        <button
+                          type="button"
+                          className="text-slate-400 hover:text-red-600"
+                          onClick={() => onDeletePreset(p.name)}
+                          aria-label={`Delete preset ${p.name}`}
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between gap-3 border-t p-4">
+          <div className="text-xs text-slate-600">
+            {valid
+              ? "Mapping looks complete."
+              : activity
+                ? "Pick a user id and a date column."
+                : "Pick a user id, a date and at least one text column."}
+          </div>
+          <Button className="rounded-xl" disabled={!valid} onClick={() => onApply(draft)}>
+            Apply mapping
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
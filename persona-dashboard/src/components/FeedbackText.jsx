@@ -0,0 +1,99 @@
+import React, { useMemo, useState } from "react";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import { explainAssignment, findPersonaMatches, highlightSegments } from "@/lib/explain";
+import { rulesForLanguage } from "@/lib/rules";
+import { personaColor, personaLabel } from "@/lib/personas";
+
+// Feedback text with keyword matches highlighted in their persona color, plus an expandable
+// explanation: every matched persona with the exact phrases, and why the assigned one won.
+// packs: compiled keyword packs; the entry's language picks the rules, as in the worker.
+// normalization: the options the packs were compiled with.
+export default function FeedbackText({ entry, packs, normalization, personas, mode, minScore }) {
+  const [open, setOpen] = useState(false);
+  const personaKeys = useMemo(() => personas.map((p) => p.key), [personas]);
+  const matches = useMemo(
+    () => findPersonaMatches(entry.text, rulesForLanguage(packs, entry.language), personaKeys, normalization),
+    [entry.text, entry.language, packs, normalization, personaKeys]
+  );
+  const segments = highlightSegments(entry.text, matches, personaKeys);
+
+  const label = (k) => personaLabel(personas, k);
+  const color = (k) => personaColor(personas, k);
+  const matched = personaKeys.filter((k) => entry.flags?.[k]);
+
+  return (
+    <div>
+      <div className="whitespace-pre-wrap">
+        {segments.map((s, idx) =>
+          s.persona ? (
+            <mark
+              key={idx}
+              className="rounded px-0.5 text-inherit"
+              style={{ backgroundColor: `${color(s.persona)}26`, boxShadow: `inset 0 -2px 0 ${color(s.persona)}` }}
+              title={label(s.persona)}
+            >
+              {s.text}
+            </mark>
+          ) : (
+            <React.Fragment key={idx}>{s.text}</React.Fragment>
+          )
+        )}
+      </div>
+
+      <button
+        type="button"
+        className="mt-1 flex items-center gap-1 text-xs text-slate-500 hover:text-slate-800"
+        onClick={() => setOpen(!open)}
+      >
+        {open ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+        {matched.length ? `Why? ${matched.length} persona${matched.length === 1 ? "" : "s"} matched` : "Why? no matches"}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-2 rounded-xl border bg-slate-50 p-2 text-xs">
+          {matched.map((k) => {
+            const phrases = matches.filter((m) => m.persona === k);
+            return (
+              <div key={k}>
+                <div className="flex items-center gap-2">
+                  <span className="h-2 w-2 rounded-full" style={{ backgroundColor: color(k) }} aria-hidden="true" />
+                  <span className="font-medium">{label(k)}</span>
+                  <span className="text-slate-500">P{personaKeys.indexOf(k) + 1}</span>
+                  {mode === "weighted" && (
+                    <span className="tabular-nums text-slate-700">score {Math.round((entry.scores?.[k] || 0) * 100) / 100}</span>
+                  )}
+                </div>
+                <div className="pl-4 text-slate-600">
+                  {phrases.length
+                    ? phrases.map((m, idx) => (
+                        <span key={idx}>
+                          {idx > 0 && ", "}“{m.phrase}” <span className="font-mono text-slate-400">{m.rule}</span>
+                        </span>
+                      ))
+                    : (entry.hits?.[k] || []).map((h) => `${h.rule} ×${h.count}`).join(", ")}
+                </div>
+              </div>
+            );
+          })}
+          {entry.override !== undefined && (
+            <div className="text-amber-700">
+              Set manually to {entry.override ? label(entry.override) : "no persona"}; the line below explains the automatic result.
+            </div>
+          )}
+          <div className="text-slate-700">
+            {explainAssignment({
+              assigned: entry.predicted,
+              flags: entry.flags,
+              scores: entry.scores,
+              mode,
+              minScore,
+              personaKeys,
+              label,
+              modelPersona: entry.model_persona,
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
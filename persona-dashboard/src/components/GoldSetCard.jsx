@@ -0,0 +1,129 @@
+import React from "react";
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Trash2 } from "lucide-react";
+import { InfoRow } from "@/components/InfoRow";
+
+const pct = (x) => (x === null ? "—" : `${Math.round(x * 1000) / 10}%`);
+
+// Keyword predictions vs. manual overrides: accuracy, per-persona precision/recall and the
+// confusion matrix (rows = human label, columns = keyword prediction)
+export default function GoldSetCard({ evaluation, overrideCount, labelFor, colorFor, modeLabel, onClear }) {
+  const { total, correct, accuracy, perPersona, labels, matrix } = evaluation;
+  const name = (k) => (k === null ? "No persona" : labelFor(k));
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <CardTitle className="text-base">Gold set</CardTitle>
+            <CardDescription>
+              Manual overrides as labels vs. current keyword predictions ({modeLabel})
+            </CardDescription>
+          </div>
+          <Button variant="outline" size="sm" className="h-8 rounded-xl" disabled={!overrideCount} onClick={onClear}>
+            <Trash2 className="mr-2 h-4 w-4" />
+            Clear overrides
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!total ? (
+          <div className="text-sm text-slate-600">
+            No labelled entries in the loaded data yet. Override a persona in the User feedback table to start a gold set.
+          </div>
+        ) : (
+          <>
+            <div className="space-y-2">
+              <InfoRow label="Labelled entries" value={total} />
+              <InfoRow label="Keywords agree" value={correct} />
+              <InfoRow label="Accuracy" value={pct(accuracy)} />
+            </div>
+
+            <div className="overflow-auto rounded-2xl border bg-white">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Persona</TableHead>
+                    <TableHead className="text-right">Labelled</TableHead>
+                    <TableHead className="text-right">Precision</TableHead>
+                    <TableHead className="text-right">Recall</TableHead>
+                    <TableHead className="text-right">False +</TableHead>
+                    <TableHead className="text-right">False −</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {perPersona.map((p) => (
+                    <TableRow key={p.key}>
+                      <TableCell>
+                        <div className="flex items-center gap-2">
+                          <span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: colorFor(p.key) }} aria-hidden="true" />
+                          <span>{labelFor(p.key)}</span>
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-right">{p.support}</TableCell>
+                      <TableCell className="text-right">{pct(p.precision)}</TableCell>
+                      <TableCell className="text-right">{pct(p.recall)}</TableCell>
+                      <TableCell className="text-right">{p.fp}</TableCell>
+                      <TableCell className="text-right">{p.fn}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+
+            <div>
+              <div className="text-sm font-semibold">Confusion matrix</div>
+              <div className="mt-1 text-xs text-slate-600">Rows: human label • columns: keyword prediction</div>
+              <div className="mt-2 overflow-auto rounded-2xl border bg-white">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead />
+                      {labels.map((l) => (
+                        <TableHead key={l ?? "none"} className="max-w-[120px] truncate text-right text-xs" title={name(l)}>
+                          {name(l)}
+                        </TableHead>
+                      ))}
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {labels.map((actual, i) => (
+                      <TableRow key={actual ?? "none"}>
+                        <TableCell className="whitespace-nowrap text-xs font-medium">{name(actual)}</TableCell>
+                        {labels.map((predicted, j) => {
+                          const n = matrix[i][j];
+                          const tone = !n ? "text-slate-300" : i === j ? "bg-emerald-50 font-medium" : "bg-red-50";
+                          return (
+                            <TableCell key={predicted ?? "none"} className={`text-right tabular-nums ${tone}`}>
+                              {n}
+                            </TableCell>
+                          );
+                        })}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { ChevronDown, ChevronRight, Download } from "lucide-react";
+import { InfoRow } from "@/components/InfoRow";
+import { Pill } from "@/components/Pill";
+import { dateFormatLabel } from "@/lib/dates";
+
+const REASON_LABELS = {
+  missing_id: "Missing user id",
+  bad_date: "Unparseable date",
+  ambiguous_date: "Ambiguous date (day/month order)",
+  column_mismatch: "Column-count mismatch",
+  unclosed_quote: "Suspected unclosed quote",
+  invalid_json: "Invalid JSON line",
+};
+
+const LINE_LABELS = { csv: "Line", sheet: "Row", json: "Record" };
+
+function dateFormatText(dates) {
+  if (dates.format !== "auto") return dateFormatLabel(dates.format);
+  return dates.detected ? `${dateFormatLabel(dates.detected)} (detected)` : "Auto-detect";
+}
+
+export default function ImportReportCard({ report, onDownloadRejected }) {
+  const [open, setOpen] = useState("");
+
+  if (!report) return null;
+  const lineLabel = LINE_LABELS[report.kind] || "Line";
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+          <div>
+            <CardTitle className="text-base">Import report</CardTitle>
+            <CardDescription>What was read, what made it into the analysis and what was dropped</CardDescription>
+          </div>
+          <Button
+            variant="outline"
+            className="rounded-xl"
+            onClick={onDownloadRejected}
+            disabled={!report.rejected}
+          >
+            <Download className="mr-2 h-4 w-4" /> Download rejected rows
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="grid grid-cols-1 gap-x-8 gap-y-2 md:grid-cols-3">
+          <InfoRow label={report.kind === "json" ? "Records" : "Total lines"} value={report.totalLines} />
+          <InfoRow label="Accepted rows" value={report.accepted} />
+          <InfoRow
+            label="Rejected rows"
+            value={<Pill tone={report.rejected ? "danger" : "good"}>{report.rejected}</Pill>}
+          />
+          {report.dates && (
+            <>
+              <InfoRow label="Date format" value={dateFormatText(report.dates)} />
+              <InfoRow label="Reporting timezone" value={report.dates.timeZone} />
+              <InfoRow label="Source timezone" value={report.dates.sourceTimeZone} />
+            </>
+          )}
+        </div>
+
+        {!report.groups.length && (
+          <div className="rounded-xl border bg-emerald-50 p-3 text-sm text-slate-700">
+            Every data row was accepted.
+          </div>
+        )}
+
+        {report.groups.map((g) => {
+          const expanded = open === g.reason;
+          return (
+            <div key={g.reason} className="rounded-2xl border bg-white">
+              <button
+                type="button"
+                className="flex w-full items-center justify-between gap-3 p-3 text-left"
+                onClick={() => setOpen(expanded ? "" : g.reason)}
+              >
+                <div className="flex items-center gap-2 text-sm font-semibold">
+                  {expanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                  {REASON_LABELS[g.reason] || g.reason}
+                </div>
+                <Pill tone={g.reason === "unclosed_quote" ? "danger" : "warn"}>{g.count} rows</Pill>
+              </button>
+              {expanded && (
+                <div className="max-h-[320px] overflow-auto border-t">
+                  <Table>
+                    <TableHeader className="sticky top-0 bg-white">
+                      <TableRow>
+                        <TableHead className="w-20">{lineLabel}</TableHead>
+                        <TableHead>Detail</TableHead>
+                        <TableHead>Row</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {g.samples.map((r) => (
+                        <TableRow key={`${g.reason}_${r.line}`}>
+                          <TableCell className="font-medium">{r.line}</TableCell>
+                          <TableCell className="text-xs text-slate-700">{r.detail}</TableCell>
+                          <TableCell className="max-w-[520px] truncate font-mono text-xs text-slate-600" title={r.preview}>
+                            {r.preview}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                  {g.count > g.samples.length && (
+                    <div className="p-3 text-xs text-slate-600">
+                      Showing the first {g.samples.length} of {g.count}. Download the rejected rows for the full list.
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
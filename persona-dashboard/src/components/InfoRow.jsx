@@ -0,0 +1,10 @@
+import React from "react";
+
+export function InfoRow({ label, value }) {
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <div className="text-sm text-slate-600">{label}</div>
+      <div className="text-sm font-medium">{value}</div>
+    </div>
+  );
+}
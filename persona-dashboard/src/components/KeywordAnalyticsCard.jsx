@@ -0,0 +1,191 @@
+import React, { useMemo, useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Pill } from "@/components/Pill";
+import { BROAD_SHARE, keywordAnalytics } from "@/lib/keywordStats";
+import { personaColor, personaLabel } from "@/lib/personas";
+
+const pct = (x) => (x === null ? "—" : `${Math.round(x * 1000) / 10}%`);
+
+const SORTS = {
+  priority: null,
+  matches: (a, b) => b.matches - a.matches,
+  deciding: (a, b) => b.deciding - a.deciding,
+};
+
+// Matches per period as a row of bars (title shows the numbers)
+function Sparkline({ byPeriod, color }) {
+  const max = Math.max(1, ...byPeriod.map((p) => p.matches));
+  return (
+    <div className="flex h-6 items-end gap-px" title={byPeriod.map((p) => `${p.period}: ${p.matches}`).join("\n")}>
+      {byPeriod.map((p) => (
+        <div
+          key={p.period}
+          className="w-1.5 rounded-sm"
+          style={{ height: `${Math.max(8, (p.matches / max) * 100)}%`, backgroundColor: p.matches ? color : "#e2e8f0" }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Every keyword rule of every persona: matches per period, how often it decides the persona,
+// retention of matched entries, strongest overlap; dead and overly broad rules are flagged.
+// latestPeriod: its retention is not known yet, so it stays out of the retention column.
+export default function KeywordAnalyticsCard({ rows, keywords, personas, periods, latestPeriod, mode, minScore, periodNoun }) {
+  const [persona, setPersona] = useState("all");
+  const [sort, setSort] = useState("priority");
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+  const personaKeys = useMemo(() => personas.map((p) => p.key), [personas]);
+  const stats = useMemo(
+    () => keywordAnalytics(rows, { keywords, personaKeys, periods, latestPeriod, mode, minScore }),
+    [rows, keywords, personaKeys, periods, latestPeriod, mode, minScore]
+  );
+
+  const shown = stats
+    .filter((s) => persona === "all" || s.persona === persona)
+    .filter((s) => !flaggedOnly || s.dead || s.broad || s.invalid);
+  if (SORTS[sort]) shown.sort(SORTS[sort]);
+
+  const dead = stats.filter((s) => s.dead).length;
+  const broad = stats.filter((s) => s.broad).length;
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-base">Keyword analytics</CardTitle>
+        <CardDescription>
+          Which rules fire and what they contribute ({stats.length} rules • {dead} dead • {broad} matching ≥ {pct(BROAD_SHARE)} of entries)
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <Select value={persona} onValueChange={setPersona}>
+            <SelectTrigger className="h-8 w-56 rounded-xl bg-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All personas</SelectItem>
+              {personas.map((p) => (
+                <SelectItem key={p.key} value={p.key}>
+                  {p.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={sort} onValueChange={setSort}>
+            <SelectTrigger className="h-8 w-48 rounded-xl bg-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="priority">Persona order</SelectItem>
+              <SelectItem value="matches">Most matches</SelectItem>
+              <SelectItem value="deciding">Most deciding</SelectItem>
+            </SelectContent>
+          </Select>
+          <label className="flex items-center gap-1 text-xs text-slate-700">
+            <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+            Flagged only
+          </label>
+        </div>
+
+        <div className="text-xs text-slate-600">
+          Deciding: {periodNoun}s that would get a different keyword persona without this rule
+          {mode === "weighted" ? " (weighted scores)" : " (priority order)"}. Retention leaves out the latest {periodNoun.replace(/^user-/, "")}
+          {latestPeriod ? ` (${latestPeriod})` : ""}, whose next one hasn't happened yet. Overlap: the rule most often matching the same entries.
+        </div>
+
+        <div className="max-h-[520px] overflow-auto rounded-2xl border bg-white">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Rule</TableHead>
+                <TableHead>Per {periodNoun.replace(/^user-/, "")}</TableHead>
+                <TableHead className="text-right">Matches</TableHead>
+                <TableHead className="text-right">Entries</TableHead>
+                <TableHead className="text-right">Deciding</TableHead>
+                <TableHead className="text-right">Retention</TableHead>
+                <TableHead>Top overlap</TableHead>
+                <TableHead>Flags</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {shown.map((s) => (
+                <TableRow key={`${s.persona}:${s.rule}`}>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <span className="h-2 w-2 shrink-0 rounded-full" style={{ backgroundColor: personaColor(personas, s.persona) }} aria-hidden="true" />
+                      <span className="font-mono text-xs">{s.rule}</span>
+                    </div>
+                    <div className="pl-4 text-xs text-slate-500">
+                      {personaLabel(personas, s.persona)}
+                      {s.languages.length ? ` • ${s.languages.join(", ")}` : ""}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    <Sparkline byPeriod={s.byPeriod} color={personaColor(personas, s.persona)} />
+                  </TableCell>
+                  <TableCell className="text-right tabular-nums">{s.matches}</TableCell>
+                  <TableCell className="text-right tabular-nums">
+                    {s.entries}
+                    <div className="text-xs text-slate-500">{pct(s.share)}</div>
+                  </TableCell>
+                  <TableCell className="text-right tabular-nums">{s.deciding}</TableCell>
+                  <TableCell className="text-right tabular-nums">{pct(s.retention)}</TableCell>
+                  <TableCell className="text-xs text-slate-600">
+                    {s.overlap ? (
+                      <>
+                        <span className="font-mono">{s.overlap.rule}</span> ({pct(s.overlap.share)})
+                        {s.overlap.persona !== s.persona && <div>{personaLabel(personas, s.overlap.persona)}</div>}
+                      </>
+                    ) : (
+                      "—"
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex flex-wrap gap-1">
+                      {s.invalid ? (
+                        <Pill tone="danger">invalid</Pill>
+                      ) : (
+                        s.dead && <Pill tone="warn">dead</Pill>
+                      )}
+                      {s.broad && <Pill tone="warn">broad</Pill>}
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {!shown.length && (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-sm text-slate-600">
+                    No rules to show.
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Download, GitCompare, Save, Trash2, Upload } from "lucide-react";
+import {
+  ConfigImportError,
+  configLabel,
+  diffVersions,
+  findVersion,
+  parseConfigFile,
+} from "@/lib/keywordConfigs";
+
+// Radix Select values: "name@version"
+const refValue = (ref) => (ref ? `${ref.name}@${ref.version}` : "");
+function parseRef(value) {
+  const at = value.lastIndexOf("@");
+  return { name: value.slice(0, at), version: +value.slice(at + 1) };
+}
+
+function VersionSelect({ configs, value, onChange, placeholder, className = "" }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className={`h-8 rounded-xl bg-white ${className}`}>
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        {configs.flatMap((c) =>
+          [...c.versions].reverse().map((v) => {
+            const ref = { name: c.name, version: v.version };
+            return (
+              <SelectItem key={refValue(ref)} value={refValue(ref)}>
+                {configLabel(ref)} • {new Date(v.savedAt).toLocaleDateString()}
+              </SelectItem>
+            );
+          })
+        )}
+      </SelectContent>
+    </Select>
+  );
+}
+
+const STATUS_TEXT = { added: "new persona", removed: "persona removed", changed: "" };
+
+// Saved keyword configurations: switch, save a new version, export/import JSON, compare versions
+export default function KeywordConfigPanel({ configs, activeConfig, modified, onSwitch, onSave, onDelete, onImport, onExport }) {
+  const [name, setName] = useState(activeConfig?.name || "");
+  const [importError, setImportError] = useState("");
+  const [compare, setCompare] = useState(null); // { a, b } select values while comparing
+  const fileRef = useRef(null);
+
+  async function handleImport(file) {
+    if (!file) return;
+    setImportError("");
+    try {
+      onImport(parseConfigFile(await file.text()));
+    } catch (e) {
+      if (!(e instanceof ConfigImportError)) throw e;
+      setImportError(`${file.name}: ${e.message}`);
+    }
+  }
+
+  const a = compare && findVersion(configs, compare.a && parseRef(compare.a));
+  const b = compare && findVersion(configs, compare.b && parseRef(compare.b));
+  const diff = a && b ? diffVersions(a, b) : null;
+
+  return (
+    <div className="rounded-2xl border bg-slate-50 p-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-semibold">Configuration</div>
+        <div className="text-xs text-slate-600">
+          {configLabel(activeConfig)}
+          {activeConfig && modified ? " • unsaved changes" : ""}
+        </div>
+      </div>
+
+      {!!configs.length && (
+        <div className="mt-2 flex items-center gap-2">
+          <VersionSelect
+            configs={configs}
+            value={refValue(activeConfig)}
+            onChange={(v) => onSwitch(parseRef(v))}
+            placeholder="Switch configuration"
+            className="flex-1"
+          />
+          {activeConfig && (
+            <>
+              <Button
+                variant="outline"
+                size="sm"
+                className="h-8 rounded-xl"
+                onClick={() => onExport(activeConfig.name)}
+                aria-label="Export configuration as JSON"
+              >
+                <Download className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                className="h-8 rounded-xl text-red-600"
+                onClick={() => onDelete(activeConfig.name)}
+                aria-label={`Delete configuration ${activeConfig.name}`}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <Input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Config name, e.g. NL app v2"
+          className="h-8 flex-1 rounded-xl bg-white"
+        />
+        <Button variant="outline" size="sm" className="h-8 rounded-xl" disabled={!name.trim()} onClick={() => onSave(name)}>
+          <Save className="mr-2 h-4 w-4" />
+          Save version
+        </Button>
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            handleImport(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+        <Button variant="outline" size="sm" className="h-8 rounded-xl" onClick={() => fileRef.current?.click()}>
+          <Upload className="mr-2 h-4 w-4" />
+          Import JSON
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-8 rounded-xl"
+          disabled={!configs.length}
+          onClick={() => setCompare(compare ? null : { a: "", b: refValue(activeConfig) })}
+        >
+          <GitCompare className="mr-2 h-4 w-4" />
+          {compare ? "Close compare" : "Compare versions"}
+        </Button>
+      </div>
+      {importError && <div className="mt-1 text-xs text-red-600">{importError}</div>}
+
+      {compare && (
+        <div className="mt-3 space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <VersionSelect configs={configs} value={compare.a} onChange={(v) => setCompare({ ...compare, a: v })} placeholder="From" />
+            <VersionSelect configs={configs} value={compare.b} onChange={(v) => setCompare({ ...compare, b: v })} placeholder="To" />
+          </div>
+          {diff && !diff.length && <div className="text-xs text-slate-600">No keyword differences.</div>}
+          {diff?.map((d) => (
+            <div key={d.key} className="rounded-xl border bg-white p-2 text-xs">
+              <div className="font-medium">
+                {d.label}
+                {STATUS_TEXT[d.status] && <span className="ml-2 text-slate-500">({STATUS_TEXT[d.status]})</span>}
+              </div>
+              {d.added.map((k) => (
+                <div key={`+${k}`} className="font-mono text-emerald-700">+ {k}</div>
+              ))}
+              {d.removed.map((k) => (
+                <div key={`-${k}`} className="font-mono text-red-600">− {k}</div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
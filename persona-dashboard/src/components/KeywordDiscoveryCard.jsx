@@ -0,0 +1,191 @@
+import React, { useMemo, useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Search, X } from "lucide-react";
+import { personaIcon } from "@/components/personaIcons";
+import { DEFAULT_MIN_SUPPORT, discoverPhrases } from "@/lib/discovery";
+import { classifyDominantPersona } from "@/lib/pipeline";
+import { rulesForLanguage } from "@/lib/rules";
+import { languageLabel } from "@/lib/language";
+import { SIGNIFICANCE_LEVEL } from "@/lib/stats";
+
+const SHOWN = 30;
+
+const pct = (x) => `${Math.round(x * 1000) / 10}%`;
+const round2 = (x) => (x === null ? "—" : Math.round(x * 100) / 100);
+
+// Phrases that separate churned from retained user-periods, ranked by lift, with one-click
+// "add to persona" buttons. Runs on demand (n-gram counting over every entry is not free).
+// rows: classified user-periods in scope; latestPeriod: its retention is usually not known yet.
+// onAdd(personaKey, language, rule) adds a rule to that persona in that language pack.
+export default function KeywordDiscoveryCard({ rows, latestPeriod, periodNoun, normalization, packs, personas, defaultLanguage, onAdd }) {
+  const [open, setOpen] = useState(false);
+  const [minSupport, setMinSupport] = useState(DEFAULT_MIN_SUPPORT);
+  const [skipLatest, setSkipLatest] = useState(true);
+  const [direction, setDirection] = useState("churn"); // churn: highest lift first | retention: lowest
+  const [significantOnly, setSignificantOnly] = useState(false);
+
+  const result = useMemo(() => {
+    if (!open) return null;
+    const scope = skipLatest ? rows.filter((r) => r.period !== latestPeriod) : rows;
+    return discoverPhrases(scope, { normalization, minSupport });
+  }, [open, rows, latestPeriod, skipLatest, normalization, minSupport]);
+
+  const shown = useMemo(() => {
+    if (!result) return [];
+    return result.candidates
+      .filter((c) => c.lift !== null && (!significantOnly || c.p < SIGNIFICANCE_LEVEL))
+      .filter((c) => (direction === "churn" ? c.lift > 1 : c.lift < 1))
+      .sort((a, b) => (direction === "churn" ? b.lift - a.lift : a.lift - b.lift) || b.support - a.support)
+      .slice(0, SHOWN);
+  }, [result, direction, significantOnly]);
+
+  const personaKeys = personas.map((p) => p.key);
+  // Personas whose current rules already match the phrase
+  const coveredBy = (c) => {
+    const { flags } = classifyDominantPersona(c.phrase, rulesForLanguage(packs, c.language), personaKeys, normalization);
+    return personas.filter((p) => flags[p.key]);
+  };
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <CardTitle className="text-base">Keyword discovery</CardTitle>
+            <CardDescription>
+              Words and phrases whose {periodNoun}s churn more (or less) than average, to grow the keyword lists from data
+            </CardDescription>
+          </div>
+          <Button variant="outline" size="sm" className="h-8 rounded-xl" onClick={() => setOpen(!open)}>
+            {open ? <X className="mr-2 h-4 w-4" /> : <Search className="mr-2 h-4 w-4" />}
+            {open ? "Hide" : "Find phrases"}
+          </Button>
+        </div>
+      </CardHeader>
+      {open && result && (
+        <CardContent className="space-y-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <div className="flex items-center gap-2">
+              <div className="text-xs text-slate-600">Min entries</div>
+              <Input
+                value={minSupport}
+                onChange={(e) => setMinSupport(Math.max(1, parseInt(e.target.value || "1", 10)))}
+                className="h-8 w-20 rounded-xl bg-white"
+                type="number"
+                min={1}
+              />
+            </div>
+            <Select value={direction} onValueChange={setDirection}>
+              <SelectTrigger className="h-8 w-56 rounded-xl bg-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="churn">Churn signals (highest lift)</SelectItem>
+                <SelectItem value="retention">Retention signals (lowest lift)</SelectItem>
+              </SelectContent>
+            </Select>
+            <label className="flex items-center gap-1 text-xs text-slate-700">
+              <input type="checkbox" checked={significantOnly} onChange={(e) => setSignificantOnly(e.target.checked)} />
+              Significant only (p &lt; {SIGNIFICANCE_LEVEL})
+            </label>
+            <label className="flex items-center gap-1 text-xs text-slate-700">
+              <input type="checkbox" checked={skipLatest} onChange={(e) => setSkipLatest(e.target.checked)} />
+              Skip latest {periodNoun} ({latestPeriod || "—"})
+            </label>
+          </div>
+
+          <div className="text-xs text-slate-600">
+            {result.entries} entries, {result.churned} churned ({pct(result.churnRate)}). Lift = churn rate with the phrase ÷ overall;
+            z compares entries with and without it. Phrases are added as "whole phrase" rules.
+          </div>
+
+          {!shown.length ? (
+            <div className="text-sm text-slate-600">No phrases reach the thresholds. Lower the minimum entries or load more data.</div>
+          ) : (
+            <div className="overflow-auto rounded-2xl border bg-white">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Phrase</TableHead>
+                    <TableHead className="text-right">Entries</TableHead>
+                    <TableHead className="text-right">Churn</TableHead>
+                    <TableHead className="text-right">Lift</TableHead>
+                    <TableHead className="text-right">z (p)</TableHead>
+                    <TableHead>Covered by</TableHead>
+                    <TableHead>Add to</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {shown.map((c) => {
+                    const language = c.language || defaultLanguage;
+                    const covered = coveredBy(c);
+                    return (
+                      <TableRow key={c.phrase}>
+                        <TableCell className="font-medium">
+                          {c.phrase}
+                          <div className="text-xs font-normal text-slate-500">{languageLabel(language)}</div>
+                        </TableCell>
+                        <TableCell className="text-right tabular-nums">{c.support}</TableCell>
+                        <TableCell className="text-right tabular-nums">{pct(c.churnRate)}</TableCell>
+                        <TableCell className="text-right tabular-nums">{round2(c.lift)}×</TableCell>
+                        <TableCell className={`text-right tabular-nums ${c.p < SIGNIFICANCE_LEVEL ? "font-medium" : "text-slate-500"}`}>
+                          {round2(c.z)} ({c.p < 0.001 ? "<0.001" : round2(c.p)})
+                        </TableCell>
+                        <TableCell className="text-xs text-slate-600">
+                          {covered.length ? covered.map((p) => p.label).join(", ") : "—"}
+                        </TableCell>
+                        <TableCell>
+                          <div className="flex flex-wrap gap-1">
+                            {personas.map((p) => {
+                              const Icon = personaIcon(p.icon);
+                              return (
+                                <Button
+                                  key={p.key}
+                                  variant="ghost"
+                                  size="icon"
+                                  className="h-7 w-7 rounded-lg"
+                                  title={`Add “${c.phrase}” to ${p.label} (${languageLabel(language)} pack)`}
+                                  disabled={covered.includes(p)}
+                                  onClick={() => onAdd(p.key, language, `"${c.phrase}"`)}
+                                >
+                                  <Icon className="h-4 w-4" style={{ color: p.color }} />
+                                </Button>
+                              );
+                            })}
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      )}
+    </Card>
+  );
+}
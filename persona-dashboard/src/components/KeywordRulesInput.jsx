@@ -0,0 +1,59 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Input } from "@/components/ui/input";
+import { splitRules, validateRule } from "@/lib/rules";
+
+// Typing pauses this long before the rules are applied (each change reclassifies the dataset)
+const APPLY_DELAY_MS = 300;
+
+// Comma-separated keyword rules with inline validation. The typed text is kept while
+// editing so commas and half-typed rules don't get reformatted under the cursor.
+export default function KeywordRulesInput({ value, onChange }) {
+  const [draft, setDraft] = useState(null);
+  const pending = useRef(null); // { timer, apply } for the change not applied yet
+
+  const flush = () => {
+    if (!pending.current) return;
+    clearTimeout(pending.current.timer);
+    pending.current.apply();
+    pending.current = null;
+  };
+
+  // An edit still waiting when the input goes away is applied, not lost
+  useEffect(() => () => flush(), []);
+
+  const text = draft ?? value.join(", ");
+  const errors = splitRules(text)
+    .map((rule) => ({ rule, error: validateRule(rule) }))
+    .filter((r) => r.error);
+
+  return (
+    <div>
+      <Input
+        className={`mt-2 rounded-xl bg-slate-50 ${errors.length ? "border-red-300" : ""}`}
+        value={text}
+        onChange={(e) => {
+          const next = e.target.value;
+          setDraft(next);
+          if (pending.current) clearTimeout(pending.current.timer);
+          const apply = () => onChange(splitRules(next));
+          pending.current = {
+            apply,
+            timer: setTimeout(() => {
+              pending.current = null;
+              apply();
+            }, APPLY_DELAY_MS),
+          };
+        }}
+        onBlur={() => {
+          flush();
+          setDraft(null);
+        }}
+      />
+      {errors.map((r, idx) => (
+        <div key={idx} className="mt-1 text-xs text-red-600">
+          <span className="font-mono">{r.rule}</span>: {r.error} (ignored)
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from "react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { MAX_EDIT_OPTIONS, NORMALIZATION_STEPS } from "@/lib/normalize";
+
+// Toggles for the normalization steps applied to feedback text and keyword rules before matching
+export default function NormalizationSettings({ value, onChange }) {
+  return (
+    <div className="rounded-2xl border bg-slate-50 p-3">
+      <div className="text-sm font-semibold">Text normalization</div>
+      <div className="mt-2 space-y-2">
+        {NORMALIZATION_STEPS.map((step) => (
+          <label key={step.key} className="flex items-start gap-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={!!value[step.key]}
+              onChange={(e) => onChange({ ...value, [step.key]: e.target.checked })}
+            />
+            <span>
+              <span className="font-medium">{step.label}</span>
+              <span className="block text-xs text-slate-600">{step.description}</span>
+            </span>
+          </label>
+        ))}
+        {value.fuzzy && (
+          <div className="flex items-center gap-2 pl-5 text-xs text-slate-600">
+            Max edits
+            <Select value={String(value.maxEdits)} onValueChange={(v) => onChange({ ...value, maxEdits: +v })}>
+              <SelectTrigger className="h-8 w-20 rounded-xl bg-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {MAX_EDIT_OPTIONS.map((n) => (
+                  <SelectItem key={n} value={String(n)}>
+                    {n}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <span>(2 only for words of 9+ letters)</span>
+          </div>
+        )}
+        <div className="text-xs text-slate-600">
+          Regular expressions run on the cleaned-up text, so punctuation in them only matches with cleanup off.
+        </div>
+      </div>
+    </div>
+  );
+}
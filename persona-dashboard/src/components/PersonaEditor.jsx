@@ -0,0 +1,177 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ArrowDown, ArrowUp, Plus, Trash2, Users, X } from "lucide-react";
+import { PERSONA_ICONS } from "@/components/personaIcons";
+import { newPersona, validatePersonas } from "@/lib/personas";
+
+// Edits a copy of the persona list; nothing is reclassified until Apply.
+// List order is priority order (P1 first).
+export default function PersonaEditor({ personas, onApply, onClose }) {
+  const [draft, setDraft] = useState(personas);
+  const [newLabel, setNewLabel] = useState("");
+
+  const errors = validatePersonas(draft);
+  const valid = !Object.keys(errors).length;
+
+  const update = (key, field, value) =>
+    setDraft((prev) => prev.map((p) => (p.key === key ? { ...p, [field]: value } : p)));
+  const move = (idx, dir) =>
+    setDraft((prev) => {
+      const next = [...prev];
+      [next[idx], next[idx + dir]] = [next[idx + dir], next[idx]];
+      return next;
+    });
+  const remove = (key) => setDraft((prev) => prev.filter((p) => p.key !== key));
+  const add = () => {
+    const label = newLabel.trim();
+    if (!label) return;
+    setDraft((prev) => [...prev, newPersona(label, prev)]);
+    setNewLabel("");
+  };
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="absolute inset-4 md:inset-10 flex flex-col overflow-hidden rounded-2xl border bg-white shadow-xl">
+        <div className="flex items-center justify-between gap-3 border-b p-4">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 text-sm font-semibold">
+              <Users className="h-4 w-4" /> Personas
+            </div>
+            <div className="text-xs text-slate-600">
+              {draft.length} personas • order is priority: in dominant mode the first matching persona wins
+            </div>
+          </div>
+          <Button variant="outline" size="sm" className="h-8 rounded-xl" onClick={onClose}>
+            <X className="mr-2 h-4 w-4" />
+            Cancel
+          </Button>
+        </div>
+
+        <div className="flex-1 space-y-3 overflow-auto p-4">
+          {draft.map((p, idx) => (
+            <div key={p.key} className="rounded-2xl border bg-white p-3">
+              <div className="flex flex-wrap items-center gap-2">
+                <Badge variant="secondary" className="rounded-full">P{idx + 1}</Badge>
+                <input
+                  type="color"
+                  value={p.color}
+                  onChange={(e) => update(p.key, "color", e.target.value)}
+                  className="h-8 w-10 cursor-pointer rounded-lg border bg-white p-0.5"
+                  aria-label={`Color of ${p.label}`}
+                />
+                <Select value={p.icon} onValueChange={(v) => update(p.key, "icon", v)}>
+                  <SelectTrigger className="h-8 w-40 rounded-xl bg-white">
+                    <SelectValue placeholder="Icon" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.keys(PERSONA_ICONS).map((name) => {
+                      const Icon = PERSONA_ICONS[name];
+                      return (
+                        <SelectItem key={name} value={name}>
+                          <span className="flex items-center gap-2">
+                            <Icon className="h-4 w-4" /> {name}
+                          </span>
+                        </SelectItem>
+                      );
+                    })}
+                  </SelectContent>
+                </Select>
+                <Input
+                  value={p.label}
+                  onChange={(e) => update(p.key, "label", e.target.value)}
+                  placeholder="Name"
+                  className={`h-8 w-64 rounded-xl ${errors[p.key] ? "border-red-300" : ""}`}
+                />
+                <label className="flex items-center gap-1 text-xs text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={!!p.spotlight}
+                    onChange={(e) => update(p.key, "spotlight", e.target.checked)}
+                  />
+                  Spotlight
+                </label>
+                <div className="ml-auto flex items-center gap-1">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="h-8 rounded-xl"
+                    disabled={idx === 0}
+                    onClick={() => move(idx, -1)}
+                    aria-label={`Move ${p.label} up`}
+                  >
+                    <ArrowUp className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="h-8 rounded-xl"
+                    disabled={idx === draft.length - 1}
+                    onClick={() => move(idx, 1)}
+                    aria-label={`Move ${p.label} down`}
+                  >
+                    <ArrowDown className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="h-8 rounded-xl text-red-600"
+                    disabled={draft.length === 1}
+                    onClick={() => remove(p.key)}
+                    aria-label={`Delete ${p.label}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+              <Input
+                value={p.description}
+                onChange={(e) => update(p.key, "description", e.target.value)}
+                placeholder="Description"
+                className="mt-2 h-8 rounded-xl bg-slate-50"
+              />
+              {errors[p.key] && <div className="mt-1 text-xs text-red-600">{errors[p.key]}</div>}
+            </div>
+          ))}
+
+          <div className="flex flex-wrap items-center gap-2 rounded-2xl border bg-slate-50 p-3">
+            <Input
+              value={newLabel}
+              onChange={(e) => setNewLabel(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") add();
+              }}
+              placeholder="New persona, e.g. Pricing complaint"
+              className="h-8 w-72 rounded-xl bg-white"
+            />
+            <Button variant="outline" size="sm" className="h-8 rounded-xl" disabled={!newLabel.trim()} onClick={add}>
+              <Plus className="mr-2 h-4 w-4" />
+              Add persona
+            </Button>
+            <div className="text-xs text-slate-600">New personas start without keywords and at the lowest priority.</div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between gap-3 border-t p-4">
+          <div className="text-xs text-slate-600">
+            {valid
+              ? "Deleting a persona also drops its keyword list."
+              : errors._ || "Every persona needs a unique name."}
+          </div>
+          <Button className="rounded-xl" disabled={!valid} onClick={() => onApply(draft)}>
+            Apply personas
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
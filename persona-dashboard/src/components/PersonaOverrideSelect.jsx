@@ -0,0 +1,57 @@
+import React from "react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { NO_PERSONA } from "@/lib/overrides";
+
+// Radix Select value for "no override, use the keyword prediction"
+const KEYWORD = "__keyword__";
+
+function Dot({ color }) {
+  return <span className="h-2.5 w-2.5 shrink-0 rounded-full" style={{ backgroundColor: color }} aria-hidden="true" />;
+}
+
+// Persona cell of the feedback tables: shows the keyword prediction and lets an analyst
+// override it. value: override persona key, null (labelled as no persona) or undefined (none).
+export default function PersonaOverrideSelect({ value, predicted, personas, labelFor, colorFor, onChange }) {
+  const current = value === undefined ? KEYWORD : value === null ? NO_PERSONA : value;
+
+  return (
+    <Select
+      value={current}
+      onValueChange={(v) => onChange(v === KEYWORD ? null : v)}
+    >
+      <SelectTrigger className={`h-8 w-56 rounded-xl ${value === undefined ? "bg-white" : "border-amber-300 bg-amber-50"}`}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={KEYWORD}>
+          <span className="flex items-center gap-2">
+            {predicted ? <Dot color={colorFor(predicted)} /> : null}
+            {predicted ? labelFor(predicted) : "—"}
+            <span className="text-slate-500">(keywords)</span>
+          </span>
+        </SelectItem>
+        {personas.map((p) => (
+          <SelectItem key={p.key} value={p.key}>
+            <span className="flex items-center gap-2">
+              <Dot color={p.color} />
+              {p.label}
+              {current === p.key && <span className="text-amber-700">(manual)</span>}
+            </span>
+          </SelectItem>
+        ))}
+        <SelectItem value={NO_PERSONA}>
+          <span className="flex items-center gap-2">
+            No persona
+            {current === NO_PERSONA && <span className="text-amber-700">(manual)</span>}
+          </span>
+        </SelectItem>
+      </SelectContent>
+    </Select>
+  );
+}
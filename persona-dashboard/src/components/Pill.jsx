@@ -0,0 +1,17 @@
+import React from "react";
+
+export function Pill({ tone = "neutral", children }) {
+  const cls =
+    tone === "danger"
+      ? "bg-red-100 text-red-900 border-red-200"
+      : tone === "warn"
+        ? "bg-amber-100 text-amber-900 border-amber-200"
+        : tone === "good"
+          ? "bg-emerald-100 text-emerald-900 border-emerald-200"
+          : "bg-slate-100 text-slate-900 border-slate-200";
+  return (
+    <span className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs ${cls}`}>
+      {children}
+    </span>
+  );
+}
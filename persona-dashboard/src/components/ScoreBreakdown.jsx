@@ -0,0 +1,25 @@
+import React from "react";
+
+// Weighted-mode score per persona for one feedback entry, highest first; the
+// matching rules (with their match counts) are listed under each score.
+export default function ScoreBreakdown({ scores, hits, labelFor, colorFor }) {
+  const keys = Object.keys(scores || {}).sort((a, b) => scores[b] - scores[a]);
+  if (!keys.length) return <span className="text-slate-500">—</span>;
+
+  return (
+    <div className="space-y-1">
+      {keys.map((k) => (
+        <div key={k} className="text-xs">
+          <div className="flex items-center gap-2">
+            <span className="h-2 w-2 rounded-full" style={{ backgroundColor: colorFor(k) }} aria-hidden="true" />
+            <span className="font-medium">{labelFor(k)}</span>
+            <span className="tabular-nums text-slate-700">{Math.round(scores[k] * 100) / 100}</span>
+          </div>
+          <div className="pl-4 text-slate-500">
+            {(hits?.[k] || []).map((h) => `${h.rule} ×${h.count}`).join(", ")}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
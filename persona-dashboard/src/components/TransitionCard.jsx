@@ -0,0 +1,211 @@
+import React, { useMemo, useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ResponsiveContainer, Sankey, Tooltip } from "recharts";
+import { nextPeriod } from "@/lib/periods";
+import { personaColor, personaLabel, UNCLASSIFIED } from "@/lib/personas";
+import { transitionMatrix, transitionFlows, SILENT, CHURNED } from "@/lib/transitions";
+
+const ALL_PAIRS = "__all_pairs__";
+// Users listed for a selected cell; the rest are counted
+const MAX_LISTED = 200;
+
+const pct = (x) => `${Math.round(x * 1000) / 10}%`;
+
+// Sankey node: colored bar with its label outside (left column labels right, right column left)
+function FlowNode({ x, y, width, height, payload, labelFor, colorFor }) {
+  const left = payload.side === "from";
+  return (
+    <g>
+      <rect x={x} y={y} width={width} height={height} fill={colorFor(payload.key)} rx={2} />
+      {height > 8 && (
+        <text
+          x={left ? x + width + 6 : x - 6}
+          y={y + height / 2}
+          textAnchor={left ? "start" : "end"}
+          dominantBaseline="middle"
+          fontSize={12}
+          fill="#334155"
+        >
+          {labelFor(payload.key)} ({payload.value})
+        </text>
+      )}
+    </g>
+  );
+}
+
+// Month-to-month persona movement: heatmap of persona at M × state at M+1 (with Unclassified,
+// active without feedback and Churned) and the same counts as a flow diagram. Clicking a cell (or
+// a flow) lists the users behind it; onUser(id) opens one user's journey.
+// entries: [{ user_id, period, personas, active }] as counted in the main aggregates.
+export default function TransitionCard({ entries, periods, personas, granularity, gran, onUser }) {
+  const [fromChoice, setFromChoice] = useState("");
+  const [selected, setSelected] = useState(null); // { from, to }
+
+  // Default to the second-latest period: the latest has no next period to move into yet (and is
+  // left out of "All" for the same reason)
+  const from =
+    fromChoice === ALL_PAIRS || periods.includes(fromChoice)
+      ? fromChoice
+      : periods[periods.length - 2] || periods[0] || "";
+  const personaKeys = useMemo(() => personas.map((p) => p.key), [personas]);
+  const matrix = useMemo(
+    () => transitionMatrix({ entries, personaKeys, from: from === ALL_PAIRS ? null : from, granularity }),
+    [entries, personaKeys, from, granularity]
+  );
+  const states = useMemo(() => [...personas, UNCLASSIFIED, SILENT, CHURNED], [personas]);
+  const flows = useMemo(() => transitionFlows(matrix, (k) => personaLabel(states, k)), [matrix, states]);
+
+  const labelFor = (k) => personaLabel(states, k);
+  const colorFor = (k) => personaColor(states, k);
+  const to = from === ALL_PAIRS ? `${gran.column[0]}+1` : nextPeriod(from, granularity);
+  const cell = selected && matrix.cells[selected.from]?.[selected.to];
+
+  const pick = (value) => {
+    setFromChoice(value);
+    setSelected(null);
+  };
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div>
+            <CardTitle className="text-base">Persona transitions</CardTitle>
+            <CardDescription>
+              Persona in one {gran.noun} → state the next {gran.noun}. Click a cell to see the users.
+            </CardDescription>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="text-xs text-slate-600">From</div>
+            <Select value={from} onValueChange={pick}>
+              <SelectTrigger className="w-[180px] rounded-xl bg-white">
+                <SelectValue placeholder={gran.column} />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_PAIRS}>All {gran.noun}s</SelectItem>
+                {periods.map((p) => (
+                  <SelectItem key={p} value={p}>
+                    {p}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <div className="text-xs text-slate-600">→ {to || "—"}</div>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!flows.links.length ? (
+          <div className="text-sm text-slate-600">No transitions for this {gran.noun}. Load data or pick another {gran.noun}.</div>
+        ) : (
+          <>
+            <div className="overflow-auto rounded-2xl border bg-white">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-xs text-slate-600">
+                    <th className="p-2 text-left font-medium">From \ to</th>
+                    {matrix.columns.map((c) => (
+                      <th key={c} className="p-2 text-center font-medium">
+                        {labelFor(c)}
+                      </th>
+                    ))}
+                    <th className="p-2 text-right font-medium">Users</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {matrix.rows.map((r) => (
+                    <tr key={r} className="border-b last:border-0">
+                      <td className="p-2 font-medium">
+                        <span className="inline-flex items-center gap-2">
+                          <span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: colorFor(r) }} />
+                          {labelFor(r)}
+                        </span>
+                      </td>
+                      {matrix.columns.map((c) => {
+                        const n = matrix.cells[r][c].length;
+                        const share = matrix.totals[r] ? n / matrix.totals[r] : 0;
+                        const active = selected?.from === r && selected?.to === c;
+                        return (
+                          <td
+                            key={c}
+                            className={`cursor-pointer p-2 text-center tabular-nums ${active ? "ring-2 ring-inset ring-slate-900" : ""}`}
+                            style={n ? { backgroundColor: `rgba(59, 130, 246, ${0.08 + share * 0.7})` } : undefined}
+                            title={n ? `${pct(share)} of ${labelFor(r)}` : undefined}
+                            onClick={() => setSelected(n ? { from: r, to: c } : null)}
+                          >
+                            {n || ""}
+                          </td>
+                        );
+                      })}
+                      <td className="p-2 text-right tabular-nums text-slate-600">{matrix.totals[r]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {cell && (
+              <div className="rounded-2xl border bg-white p-3">
+                <div className="mb-2 text-sm font-medium">
+                  {labelFor(selected.from)} → {labelFor(selected.to)}: {cell.length} user{cell.length === 1 ? "" : "s"}
+                </div>
+                <div className="flex flex-wrap gap-1.5">
+                  {cell.slice(0, MAX_LISTED).map((u) => (
+                    <button
+                      key={`${u.user_id}__${u.period}`}
+                      type="button"
+                      className="rounded-lg bg-slate-100 px-2 py-0.5 font-mono text-xs hover:bg-slate-200"
+                      onClick={() => onUser(u.user_id)}
+                    >
+                      {u.user_id}
+                      {from === ALL_PAIRS ? ` · ${u.period}` : ""}
+                    </button>
+                  ))}
+                </div>
+                {cell.length > MAX_LISTED && (
+                  <div className="mt-2 text-xs text-slate-600">…and {cell.length - MAX_LISTED} more</div>
+                )}
+              </div>
+            )}
+
+            <div className="h-[420px]">
+              <ResponsiveContainer width="100%" height="100%">
+                <Sankey
+                  data={flows}
+                  nodePadding={14}
+                  nodeWidth={12}
+                  margin={{ top: 10, right: 10, left: 10, bottom: 10 }}
+                  node={<FlowNode labelFor={labelFor} colorFor={colorFor} />}
+                  link={{ stroke: "#94a3b8", strokeOpacity: 0.35 }}
+                  onClick={(item, type) => {
+                    if (type === "link") setSelected({ from: item.payload.from, to: item.payload.to });
+                  }}
+                >
+                  <Tooltip />
+                </Sankey>
+              </ResponsiveContainer>
+            </div>
+            {matrix.pairs > 1 && (
+              <div className="text-xs text-slate-600">
+                Summed over {matrix.pairs} {gran.noun} → next {gran.noun} steps; a user counts once per step.
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
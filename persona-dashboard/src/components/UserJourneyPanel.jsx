@@ -0,0 +1,193 @@
+import React, { useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { UserRound, X } from "lucide-react";
+import FeedbackText from "@/components/FeedbackText";
+import PersonaOverrideSelect from "@/components/PersonaOverrideSelect";
+import { Pill } from "@/components/Pill";
+import { languageLabel } from "@/lib/language";
+import { UNCLASSIFIED } from "@/lib/personas";
+
+// Strip cell for one period: persona color with feedback, grey when active without feedback,
+// dashed outline when not active at all
+function StripCell({ item, labelFor, colorFor }) {
+  const persona = item.entry ? item.entry.persona || UNCLASSIFIED.key : null;
+  const title = item.entry
+    ? `${item.period}: ${labelFor(persona)}`
+    : `${item.period}: ${item.present ? "active, no feedback" : "not active"}`;
+  return (
+    <div
+      className={`h-6 min-w-[6px] max-w-[40px] flex-1 rounded ${
+        item.entry ? "" : item.present ? "bg-slate-200" : "border border-dashed border-slate-300"
+      }`}
+      style={item.entry ? { backgroundColor: colorFor(persona) } : undefined}
+      title={title}
+    />
+  );
+}
+
+// One user's trajectory: every period from first appearance to the latest in the data, as a
+// persona strip and a table with persona (overridable), flags, retention and the full feedback.
+// timeline: [{ period, entry, present }] from lib/journey.js, entries shaped like the feedback table.
+export default function UserJourneyPanel({
+  userId,
+  timeline,
+  personas,
+  labelFor,
+  colorFor,
+  gran,
+  packs,
+  normalization,
+  mode,
+  minScore,
+  onOverride,
+  onClose,
+}) {
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  const withFeedback = timeline.filter((t) => t.entry);
+  const shown = timeline.filter((t) => t.present);
+  const latest = timeline[timeline.length - 1]?.period;
+
+  return (
+    <div className="fixed inset-0 z-[60]">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="absolute inset-4 md:inset-10 flex flex-col overflow-hidden rounded-2xl border bg-white shadow-xl">
+        <div className="flex items-center justify-between gap-3 border-b p-4">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 text-sm font-semibold">
+              <UserRound className="h-4 w-4" /> User {userId}
+            </div>
+            <div className="text-xs text-slate-600">
+              {withFeedback.length} {gran.noun}
+              {withFeedback.length === 1 ? "" : "s"} with feedback • active in {shown.length} of {timeline.length} since{" "}
+              {timeline[0]?.period || "—"} • Press Esc to close
+            </div>
+          </div>
+          <Button variant="outline" size="sm" className="h-8 rounded-xl" onClick={onClose}>
+            <X className="mr-2 h-4 w-4" />
+            Close
+          </Button>
+        </div>
+
+        <div className="flex-1 space-y-4 overflow-auto p-4">
+          {!timeline.length ? (
+            <div className="text-sm text-slate-600">No data for this user.</div>
+          ) : (
+            <div className="space-y-1">
+              <div className="flex gap-0.5">
+                {timeline.map((t) => (
+                  <StripCell key={t.period} item={t} labelFor={labelFor} colorFor={colorFor} />
+                ))}
+              </div>
+              <div className="flex justify-between text-xs text-slate-500">
+                <span>{timeline[0].period}</span>
+                <span className="flex items-center gap-3">
+                  <span className="inline-flex items-center gap-1">
+                    <span className="h-2.5 w-2.5 rounded bg-slate-200" /> active, no feedback
+                  </span>
+                  <span className="inline-flex items-center gap-1">
+                    <span className="h-2.5 w-2.5 rounded border border-dashed border-slate-300" /> not active
+                  </span>
+                </span>
+                <span>{latest}</span>
+              </div>
+            </div>
+          )}
+
+          {shown.length > 0 && (
+            <div className="overflow-hidden rounded-2xl border">
+              <Table>
+                <TableHeader className="bg-white">
+                  <TableRow>
+                    <TableHead>{gran.column}</TableHead>
+                    <TableHead>Persona</TableHead>
+                    <TableHead>Flags</TableHead>
+                    <TableHead>Next {gran.noun}</TableHead>
+                    <TableHead>Feedback</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {shown.map(({ period, entry }) => (
+                    <TableRow key={period}>
+                      <TableCell className="whitespace-nowrap align-top font-medium">
+                        {period}
+                        {entry && <div className="text-xs font-normal text-slate-500">{languageLabel(entry.language)}</div>}
+                      </TableCell>
+                      {entry ? (
+                        <>
+                          <TableCell className="whitespace-nowrap align-top">
+                            <PersonaOverrideSelect
+                              value={entry.override}
+                              predicted={entry.predicted}
+                              personas={personas}
+                              labelFor={labelFor}
+                              colorFor={colorFor}
+                              onChange={(persona) => onOverride(entry, persona)}
+                            />
+                          </TableCell>
+                          <TableCell className="min-w-[160px] align-top">
+                            <div className="flex flex-wrap gap-1">
+                              {personas
+                                .filter((p) => entry.flags?.[p.key])
+                                .map((p) => (
+                                  <span
+                                    key={p.key}
+                                    className="rounded-full px-2 py-0.5 text-xs"
+                                    style={{ backgroundColor: `${p.color}26`, color: "#0f172a" }}
+                                  >
+                                    {p.label}
+                                  </span>
+                                ))}
+                              {!personas.some((p) => entry.flags?.[p.key]) && <span className="text-xs text-slate-500">none</span>}
+                            </div>
+                          </TableCell>
+                          <TableCell className="whitespace-nowrap align-top">
+                            {period === latest ? (
+                              <Pill>Not known yet</Pill>
+                            ) : entry.active_next_period ? (
+                              <Pill tone="good">Retained</Pill>
+                            ) : (
+                              <Pill tone="danger">Churned</Pill>
+                            )}
+                          </TableCell>
+                          <TableCell className="text-sm leading-6 text-slate-700">
+                            <FeedbackText
+                              entry={entry}
+                              packs={packs}
+                              normalization={normalization}
+                              personas={personas}
+                              mode={mode}
+                              minScore={minScore}
+                            />
+                          </TableCell>
+                        </>
+                      ) : (
+                        <TableCell colSpan={4} className="text-sm text-slate-500">
+                          Active, no feedback
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React, { useState } from "react";
+import { Input } from "@/components/ui/input";
+import { Search } from "lucide-react";
+
+// Suggestions offered while typing; the full list can be tens of thousands of ids
+const MAX_SUGGESTIONS = 50;
+
+// Jump to a user's journey by id: Enter opens an exact match, or the only id containing the text.
+// userIds: known ids, sorted.
+export default function UserSearch({ userIds, onSelect }) {
+  const [value, setValue] = useState("");
+  const [notFound, setNotFound] = useState(false);
+
+  const q = value.trim().toLowerCase();
+  const suggestions = q ? userIds.filter((id) => id.toLowerCase().includes(q)).slice(0, MAX_SUGGESTIONS) : [];
+
+  const open = () => {
+    if (!q) return;
+    const match = userIds.find((id) => id.toLowerCase() === q) || (suggestions.length === 1 ? suggestions[0] : null);
+    setNotFound(!match);
+    if (match) onSelect(match);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <div className="relative">
+        <Search className="pointer-events-none absolute left-2.5 top-2 h-4 w-4 text-slate-400" />
+        <Input
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            setNotFound(false);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") open();
+          }}
+          list="user-search-ids"
+          placeholder="Find user id…"
+          className={`h-8 w-48 rounded-xl bg-white pl-8 ${notFound ? "border-red-300" : ""}`}
+        />
+        <datalist id="user-search-ids">
+          {suggestions.map((id) => (
+            <option key={id} value={id} />
+          ))}
+        </datalist>
+      </div>
+      {notFound && <div className="text-xs text-red-600">No such user</div>}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import {
+  AlertTriangle,
+  Brain,
+  Bug,
+  Clock,
+  CreditCard,
+  Flame,
+  GraduationCap,
+  Heart,
+  HelpCircle,
+  Info,
+  Lightbulb,
+  MessageSquare,
+  Radar,
+  Repeat,
+  ShieldAlert,
+  Tag,
+  ThumbsDown,
+  Users,
+  Zap,
+} from "lucide-react";
+
+// Icons a persona can use, by the name stored in the persona config
+export const PERSONA_ICONS = {
+  ShieldAlert,
+  Flame,
+  Repeat,
+  Radar,
+  Brain,
+  Clock,
+  Lightbulb,
+  AlertTriangle,
+  Bug,
+  CreditCard,
+  GraduationCap,
+  Heart,
+  HelpCircle,
+  MessageSquare,
+  Tag,
+  ThumbsDown,
+  Users,
+  Zap,
+};
+
+export const personaIcon = (name) => PERSONA_ICONS[name] || Info;
@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Owns the pipeline worker (see workers/pipeline.worker.js).
+// Loads produce a `dataset` summary (headers, preview rows, counts) for either the
+// feedback export or the optional activity log (`target`); classify()
+// produces classified user-period rows plus the import report and the presence
+// set ("user__period" keys) used for retention. Replies for
+// superseded jobs are dropped; feedback and activity loads are tracked separately, so one
+// doesn't supersede the other.
+export function usePipelineWorker(initialText, onDataset) {
+  const workerRef = useRef(null);
+  const jobRef = useRef(0);
+  const loadJobsRef = useRef({ feedback: 0, activity: 0 }); // target → latest load jobId
+  const classifyJobRef = useRef(0);
+  const initialTextRef = useRef(initialText);
+  const onDatasetRef = useRef(onDataset);
+  const requestsRef = useRef(new Map()); // jobId → resolve, for one-off requests
+  const [dataset, setDataset] = useState(null);
+  const [activityDataset, setActivityDataset] = useState(null);
+  const [classified, setClassified] = useState([]);
+  const [presence, setPresence] = useState(null);
+  const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null); // { phase, loaded, total }
+  const [error, setError] = useState("");
+  const [cancelled, setCancelled] = useState(false);
+
+  useEffect(() => {
+    onDatasetRef.current = onDataset;
+  });
+
+  useEffect(() => {
+    const worker = new Worker(new URL("../workers/pipeline.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (requestsRef.current.has(msg.jobId)) {
+        requestsRef.current.get(msg.jobId)(msg);
+        requestsRef.current.delete(msg.jobId);
+        return;
+      }
+      if (msg.type === "classified") {
+        if (msg.jobId !== classifyJobRef.current) return;
+        setClassified(msg.rows);
+        setPresence(msg.presence || null);
+        setReport(msg.report);
+        setProgress((p) => (p?.phase === "classifying" ? null : p));
+        return;
+      }
+      const isLoad = msg.target && msg.jobId === loadJobsRef.current[msg.target];
+      if (msg.type === "progress") {
+        if (isLoad || msg.jobId === classifyJobRef.current) setProgress(msg);
+        return;
+      }
+      if (msg.type === "error" && msg.jobId === classifyJobRef.current) {
+        setProgress(null);
+        setError(msg.message || "Classification failed.");
+        return;
+      }
+      if (!isLoad) return;
+      // Only this load's progress ends here; the other target's may still be running
+      const endProgress = () => setProgress((p) => (!p || p.jobId === msg.jobId ? null : p));
+      if (msg.type === "dataset") {
+        endProgress();
+        if (msg.target === "activity") setActivityDataset(msg.dataset);
+        else setDataset(msg.dataset);
+        if (msg.dataset) onDatasetRef.current?.(msg.dataset);
+      } else if (msg.type === "cancelled") {
+        endProgress();
+        setCancelled(true);
+      } else if (msg.type === "error") {
+        endProgress();
+        setError(msg.message || "Import failed.");
+      }
+    };
+    workerRef.current = worker;
+
+    const jobId = ++jobRef.current;
+    loadJobsRef.current.feedback = jobId;
+    worker.postMessage({ type: "loadText", jobId, text: initialTextRef.current });
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  const startLoad = useCallback((msg, initialProgress = null) => {
+    const jobId = ++jobRef.current;
+    const previous = loadJobsRef.current[msg.target];
+    loadJobsRef.current[msg.target] = jobId;
+    setError("");
+    setCancelled(false);
+    // Replaces the progress of the load this one supersedes, not the other target's
+    setProgress((p) => (initialProgress ? { ...initialProgress, jobId } : p?.jobId === previous ? null : p));
+    workerRef.current?.postMessage({ ...msg, jobId });
+  }, []);
+
+  const loadText = useCallback((text) => startLoad({ type: "loadText", text, target: "feedback" }), [startLoad]);
+  const loadFile = useCallback(
+    (file, target = "feedback") =>
+      startLoad({ type: "loadFile", file, target }, { phase: "reading", loaded: 0, total: file.size }),
+    [startLoad]
+  );
+  const selectSheet = useCallback(
+    (sheet, target = "feedback") => startLoad({ type: "selectSheet", sheet, target }),
+    [startLoad]
+  );
+  const clearActivity = useCallback(() => startLoad({ type: "clearActivity", target: "activity" }), [startLoad]);
+
+  const classify = useCallback((params) => {
+    const jobId = ++jobRef.current;
+    classifyJobRef.current = jobId;
+    workerRef.current?.postMessage({ type: "classify", jobId, ...params });
+  }, []);
+
+  const cancel = useCallback(() => workerRef.current?.postMessage({ type: "cancel" }), []);
+
+  // One-off request answered by a single reply message
+  const request = useCallback(
+    (type, params = {}) =>
+      new Promise((resolve) => {
+        const jobId = ++jobRef.current;
+        requestsRef.current.set(jobId, resolve);
+        workerRef.current?.postMessage({ type, jobId, ...params });
+      }),
+    []
+  );
+
+  const fetchRejectedRows = useCallback(() => request("rejectedRows").then((msg) => msg.rows || []), [request]);
+
+  return {
+    dataset,
+    activityDataset,
+    classified,
+    presence,
+    report,
+    progress,
+    error,
+    cancelled,
+    loadText,
+    loadFile,
+    selectSheet,
+    clearActivity,
+    classify,
+    cancel,
+    fetchRejectedRows,
+  };
+}
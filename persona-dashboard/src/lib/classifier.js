@@ -0,0 +1,163 @@
+// --- Trainable persona classifier: multinomial naive Bayes over word unigrams + bigrams.
+// Trained in the browser on the gold set (manual overrides); no network involved.
+// "No persona" labels are a class of their own, so the model can also leave entries unassigned.
+// Models are plain JSON (see MODEL_FORMAT) and can be exported/imported.
+
+export const MODEL_FORMAT = "persona-dashboard/naive-bayes";
+const MODEL_FORMAT_VERSION = 1;
+
+// Below this the keyword rules stay in charge
+export const MIN_TRAINING_EXAMPLES = 30;
+const VALIDATION_FOLDS = 5;
+
+// Class key for "no persona" (persona keys can't start with underscores, see newPersonaKey)
+const NONE_CLASS = "__none__";
+
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+export class ClassifierError extends Error {}
+
+export function tokenize(text) {
+  const words = (text || "").toString().toLowerCase().match(WORD) || [];
+  const out = [...words];
+  for (let i = 1; i < words.length; i++) out.push(`${words[i - 1]} ${words[i]}`);
+  return out;
+}
+
+// Count tables are keyed by free text ("constructor", "__proto__" are words too): build them
+// without a prototype and read them through own properties only, also after a JSON round trip
+const table = () => Object.create(null);
+const count = (obj, key) => (obj && Object.hasOwn(obj, key) ? obj[key] : 0);
+
+// examples: [{ text, label }] with label a persona key or null
+function fit(examples) {
+  const docs = table();
+  const tokens = table();
+  const totals = table();
+  const vocab = new Set();
+  for (const { text, label } of examples) {
+    const c = label ?? NONE_CLASS;
+    docs[c] = count(docs, c) + 1;
+    const counts = (tokens[c] ||= table());
+    for (const t of tokenize(text)) {
+      counts[t] = count(counts, t) + 1;
+      totals[c] = count(totals, c) + 1;
+      vocab.add(t);
+    }
+  }
+  return { classes: Object.keys(docs), docs, tokens, totals, vocabSize: vocab.size, examples: examples.length };
+}
+
+// model → (text) → persona key or null
+export function createPredictor(model) {
+  const { classes, docs, tokens, totals, vocabSize, examples } = model;
+  const prior = new Map(classes.map((c) => [c, Math.log(count(docs, c) / examples)]));
+  const denom = new Map(classes.map((c) => [c, Math.log(count(totals, c) + vocabSize + 1)]));
+
+  return (text) => {
+    const ts = tokenize(text);
+    let best = null;
+    let bestScore = -Infinity;
+    for (const c of classes) {
+      const counts = Object.hasOwn(tokens, c) ? tokens[c] : null;
+      let score = prior.get(c);
+      // Laplace smoothing; the +1 in the denominator leaves room for unseen tokens
+      for (const t of ts) score += Math.log(count(counts, t) + 1) - denom.get(c);
+      if (score > bestScore) {
+        bestScore = score;
+        best = c;
+      }
+    }
+    return best === NONE_CLASS ? null : best;
+  };
+}
+
+// k-fold cross-validated accuracy (folds by position after a deterministic shuffle)
+function crossValidate(examples, folds) {
+  const order = examples.map((e, i) => ({ e, k: hash(`${i}:${e.text}`) })).sort((a, b) => a.k - b.k).map((x) => x.e);
+  let correct = 0;
+  for (let f = 0; f < folds; f++) {
+    const train = order.filter((_, i) => i % folds !== f);
+    const test = order.filter((_, i) => i % folds === f);
+    if (!test.length || !train.length) continue;
+    const predict = createPredictor(fit(train));
+    for (const e of test) if (predict(e.text) === e.label) correct++;
+  }
+  return correct / examples.length;
+}
+
+function hash(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 16777619);
+  return h >>> 0;
+}
+
+// examples: [{ text, label, keyword }] where keyword is the keyword-rule prediction for the
+// same entry (the baseline). Throws when there is too little labelled data.
+export function trainModel(examples, personas) {
+  const labelled = examples.filter((e) => (e.text || "").trim());
+  if (labelled.length < MIN_TRAINING_EXAMPLES) {
+    throw new ClassifierError(`Need at least ${MIN_TRAINING_EXAMPLES} labelled entries with text (have ${labelled.length})`);
+  }
+  const model = fit(labelled);
+  if (model.classes.length < 2) throw new ClassifierError("Labels need at least two different personas");
+
+  const keywordCorrect = labelled.filter((e) => e.keyword === e.label).length;
+  return {
+    format: MODEL_FORMAT,
+    formatVersion: MODEL_FORMAT_VERSION,
+    trainedAt: new Date().toISOString(),
+    // Labels as they were at training time, for display after personas change
+    personas: personas.map((p) => ({ key: p.key, label: p.label })),
+    ...model,
+    validation: {
+      folds: VALIDATION_FOLDS,
+      accuracy: crossValidate(labelled, VALIDATION_FOLDS),
+      keywordAccuracy: keywordCorrect / labelled.length,
+    },
+  };
+}
+
+export function parseModelFile(text) {
+  let doc;
+  try {
+    doc = JSON.parse((text || "").toString().replace(/^\uFEFF/, ""));
+  } catch {
+    throw new ClassifierError("Not a JSON file");
+  }
+  if (doc?.format !== MODEL_FORMAT) throw new ClassifierError("Not a persona classifier export");
+  if (doc.formatVersion > MODEL_FORMAT_VERSION) throw new ClassifierError("Exported by a newer version of the dashboard");
+  const ok =
+    Array.isArray(doc.classes) &&
+    doc.classes.length > 1 &&
+    doc.docs && doc.tokens && doc.totals &&
+    Number.isFinite(doc.vocabSize) && Number.isFinite(doc.examples) && doc.examples > 0;
+  if (!ok) throw new ClassifierError("Model file is incomplete");
+  return doc;
+}
+
+// Persona keys the model predicts that aren't in the current persona set
+export const unknownModelClasses = (model, personaKeys) =>
+  model.classes.filter((c) => c !== NONE_CLASS && !personaKeys.includes(c));
+
+// --- Persistence (localStorage): the last trained or imported model
+const MODEL_STORAGE_KEY = "persona-dashboard:classifier-model";
+
+export function loadModel() {
+  try {
+    const raw = localStorage.getItem(MODEL_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function storeModel(model) {
+  try {
+    if (model) localStorage.setItem(MODEL_STORAGE_KEY, JSON.stringify(model));
+    else localStorage.removeItem(MODEL_STORAGE_KEY);
+  } catch {
+    // storage full or disabled: the model just won't survive a refresh
+  }
+  return model;
+}
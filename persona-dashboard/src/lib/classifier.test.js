@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPredictor, MIN_TRAINING_EXAMPLES, trainModel } from "./classifier.js";
+
+const PERSONAS = [
+  { key: "reliability", label: "Reliability" },
+  { key: "emotional", label: "Breaking point" },
+];
+
+function examples() {
+  const out = [];
+  for (let i = 0; i < MIN_TRAINING_EXAMPLES; i++) {
+    out.push({ text: `app crasht weer ${i}`, label: "reliability", keyword: "reliability" });
+    out.push({ text: `ik ben er klaar mee ${i}`, label: "emotional", keyword: null });
+  }
+  return out;
+}
+
+test("tokens named like Object.prototype members predict normally", () => {
+  const predict = createPredictor(trainModel(examples(), PERSONAS));
+  assert.equal(predict("app crasht constructor"), "reliability");
+  assert.equal(predict("klaar mee toString valueOf __proto__"), "emotional");
+});
+
+test("training on prototype-named tokens keeps counts numeric, also after a JSON round trip", () => {
+  const data = [...examples(), { text: "constructor hasOwnProperty crasht", label: "reliability", keyword: null }];
+  const model = JSON.parse(JSON.stringify(trainModel(data, PERSONAS)));
+  assert.equal(model.tokens.reliability.constructor, 1);
+  assert.equal(model.tokens.reliability.hasownproperty, 1);
+  assert.equal(createPredictor(model)("constructor crasht"), "reliability");
+});
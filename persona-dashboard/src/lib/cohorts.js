@@ -0,0 +1,73 @@
+// --- Cohort retention: users grouped by the period they first appeared (or first got a persona),
+// and the share of each cohort still present k periods later. Built on the same presence set the
+// worker uses for next-period retention ("user__period" keys: activity log if loaded, else feedback).
+
+import { nextPeriod } from "./periods.js";
+
+export const DEFAULT_COHORT_HORIZON = 6;
+
+// "user__period" → [user, period]; user ids may contain "__", periods never do
+export function splitPresenceKey(key) {
+  const i = key.lastIndexOf("__");
+  return [key.slice(0, i), key.slice(i + 2)];
+}
+
+const setEarliest = (map, user, period) => {
+  const cur = map.get(user);
+  if (!cur || period < cur) map.set(user, period);
+};
+
+// presence: Set of "user__period"; entries: [{ user_id, period, personas }] with the personas each
+// user-period counts for. persona: anchor on the first period with that persona (null = first seen).
+// Returns { cohorts: [{ period, size, retention }], average, horizon } where retention[k - 1] is the
+// share present at period + k (null when that period is past the data) and average weights by size.
+export function cohortRetention({ presence, entries, persona = null, granularity, horizon = DEFAULT_COHORT_HORIZON }) {
+  const anchors = new Map();
+  let lastPeriod = "";
+  for (const key of presence || []) {
+    const [user, period] = splitPresenceKey(key);
+    if (period > lastPeriod) lastPeriod = period;
+    if (!persona) setEarliest(anchors, user, period);
+  }
+  if (persona) {
+    for (const e of entries) if (e.personas.includes(persona)) setEarliest(anchors, e.user_id, e.period);
+  }
+
+  const byPeriod = new Map();
+  for (const [user, period] of anchors) {
+    if (!byPeriod.has(period)) byPeriod.set(period, []);
+    byPeriod.get(period).push(user);
+  }
+
+  const cohorts = Array.from(byPeriod.keys())
+    .sort()
+    .map((period) => {
+      const users = byPeriod.get(period);
+      const retention = [];
+      let p = period;
+      for (let k = 1; k <= horizon; k++) {
+        p = nextPeriod(p, granularity);
+        if (!p || p > lastPeriod) {
+          retention.push(null);
+          continue;
+        }
+        let present = 0;
+        for (const u of users) if (presence.has(`${u}__${p}`)) present++;
+        retention.push(present / users.length);
+      }
+      return { period, size: users.length, retention };
+    });
+
+  const average = Array.from({ length: horizon }, (_, i) => {
+    let users = 0;
+    let retained = 0;
+    for (const c of cohorts) {
+      if (c.retention[i] === null) continue;
+      users += c.size;
+      retained += c.retention[i] * c.size;
+    }
+    return users ? retained / users : null;
+  });
+
+  return { cohorts, average, horizon };
+}
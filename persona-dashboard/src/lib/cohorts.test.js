@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cohortRetention, splitPresenceKey } from "./cohorts.js";
+
+const presence = new Set(["u1__2025-07", "u1__2025-08", "u1__2025-09", "u2__2025-07", "u2__2025-09", "u3__2025-08", "a__b__2025-08"]);
+
+test("presence keys split on the last separator", () => {
+  assert.deepEqual(splitPresenceKey("a__b__2025-08"), ["a__b", "2025-08"]);
+});
+
+test("cohorts by first period seen, with periods past the data left open", () => {
+  const { cohorts, average } = cohortRetention({ presence, entries: [], granularity: "month", horizon: 3 });
+  assert.deepEqual(cohorts, [
+    { period: "2025-07", size: 2, retention: [0.5, 1, null] },
+    { period: "2025-08", size: 2, retention: [0, null, null] },
+  ]);
+  assert.deepEqual(average, [0.25, 1, null]);
+});
+
+test("a persona anchor starts each user at their first period with that persona", () => {
+  const entries = [
+    { user_id: "u1", period: "2025-08", personas: ["veteran"] },
+    { user_id: "u2", period: "2025-07", personas: ["emotional"] },
+  ];
+  const { cohorts } = cohortRetention({ presence, entries, persona: "veteran", granularity: "month", horizon: 2 });
+  assert.deepEqual(cohorts, [{ period: "2025-08", size: 1, retention: [1, null] }]);
+});
@@ -0,0 +1,146 @@
+// --- Column mapping: which source columns feed user_id / date / text / active_next_month.
+// A mapping is a plain object so it can be stored as a named preset:
+//   { user_id: "<col>", date: "<col>", date_format: "auto" | "iso" | "dmy" | "mdy" | "excel",
+//     source_time_zone: "<IANA zone of timestamps without an offset>",
+//     text: ["<col>", ...], active_next_month: "<col>" | "" }
+// (presets saved before date_format / source_time_zone existed read as "auto" / "UTC")
+
+import { DEFAULT_TIME_ZONE } from "./dates.js";
+
+const PRESETS_STORAGE_KEY = "persona-dashboard:mapping-presets";
+
+// Typeform export header for the open suggestion field (the export truncates it like this)
+const TYPEFORM_TEXT_HEADER =
+  "Beschrijf je suggestie hieronder zo duidelijk mogelijk. Heb j... voordeel kan zijn voor je medegebruikers? Laat dit dan weten.";
+
+const USER_ID_CANDIDATES = [
+  "user_id",
+  "userid",
+  "user",
+  "network id",
+  "network_id",
+  // flattened JSON paths (see jsonImport.js)
+  "user.id",
+  "requester_id",
+  "requester.id",
+  "author.id",
+];
+const DATE_CANDIDATES = ["month", "created_at", "start date (utc)", "createdat", "timestamp", "date"];
+const TEXT_CANDIDATES = ["text", "message", "body", "description"];
+// Comment threads in ticket dumps; concatenated after the main text column
+const THREAD_TEXT = /^comments?\[\]\.(body|text|message|plain_body)$/i;
+
+export const EMPTY_MAPPING = {
+  user_id: "",
+  date: "",
+  date_format: "auto",
+  source_time_zone: DEFAULT_TIME_ZONE,
+  text: [],
+  active_next_month: "",
+};
+
+function findHeader(headers, candidates) {
+  for (const c of candidates) {
+    const hit = headers.find((h) => h.toLowerCase() === c);
+    if (hit) return hit;
+  }
+  return "";
+}
+
+// Best-effort guess, used when no preset matches the uploaded headers.
+export function guessMapping(headers) {
+  const hs = (headers || []).filter(Boolean);
+  if (!hs.length) return { ...EMPTY_MAPPING };
+
+  const user_id = findHeader(hs, USER_ID_CANDIDATES);
+
+  let date = findHeader(hs, DATE_CANDIDATES);
+  if (!date) date = hs.find((h) => /date|time|created|month|datum/i.test(h)) || "";
+
+  let text = "";
+  if (hs.includes(TYPEFORM_TEXT_HEADER)) text = TYPEFORM_TEXT_HEADER;
+  if (!text) text = hs.find((h) => /beschrijf|suggestie/i.test(h)) || "";
+  if (!text) text = findHeader(hs, TEXT_CANDIDATES);
+  // Fallback: 2nd column is often the open text field
+  if (!text && hs.length >= 2) text = hs[1];
+
+  const active_next_month = findHeader(hs, ["active_next_month"]);
+
+  const thread = hs.find((h) => THREAD_TEXT.test(h) && h !== text);
+  return { ...EMPTY_MAPPING, user_id, date, text: [text, thread].filter(Boolean), active_next_month };
+}
+
+export function mappingColumns(mapping) {
+  if (!mapping) return [];
+  return [mapping.user_id, mapping.date, ...(mapping.text || []), mapping.active_next_month].filter(Boolean);
+}
+
+// A mapping is usable when user id, date and at least one text column are set and all exist in the headers.
+export function isMappingValid(mapping, headers) {
+  if (!mapping || !mapping.user_id || !mapping.date || !(mapping.text || []).length) return false;
+  const set = new Set(headers || []);
+  return mappingColumns(mapping).every((c) => set.has(c));
+}
+
+// Activity logs only need a user id and a date (one row per active event/day/month).
+export function guessActivityMapping(headers) {
+  const { user_id, date } = guessMapping(headers);
+  return { ...EMPTY_MAPPING, user_id, date };
+}
+
+export function isActivityMappingValid(mapping, headers) {
+  if (!mapping || !mapping.user_id || !mapping.date) return false;
+  const set = new Set(headers || []);
+  return set.has(mapping.user_id) && set.has(mapping.date);
+}
+
+// Project raw parsed rows onto the mapped fields (values stay raw strings; month parsing happens downstream).
+export function applyMapping(rawRows, mapping) {
+  const textCols = mapping?.text || [];
+  return (rawRows || []).map((r) => ({
+    user_id: String(r[mapping.user_id] ?? "").trim(),
+    date: String(r[mapping.date] ?? "").trim(),
+    text: textCols
+      .map((c) => String(r[c] ?? "").trim())
+      .filter(Boolean)
+      .join("\n"),
+    active_next_month: mapping.active_next_month ? String(r[mapping.active_next_month] ?? "").trim() : "",
+  }));
+}
+
+// --- Presets (localStorage)
+export function loadPresets() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function storePresets(presets) {
+  try {
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  } catch {
+    // storage full or disabled: presets just won't survive a refresh
+  }
+  return presets;
+}
+
+export function savePreset(name, mapping, headers) {
+  const trimmed = (name || "").trim();
+  if (!trimmed) return loadPresets();
+  const rest = loadPresets().filter((p) => p.name !== trimmed);
+  return storePresets([...rest, { name: trimmed, headers: [...(headers || [])], mapping }]);
+}
+
+export function deletePreset(name) {
+  return storePresets(loadPresets().filter((p) => p.name !== name));
+}
+
+// Prefer a preset saved for exactly these headers; otherwise any preset whose columns all exist.
+export function findPreset(presets, headers) {
+  const signature = (headers || []).join("\u0001");
+  const valid = (presets || []).filter((p) => isMappingValid(p.mapping, headers));
+  return valid.find((p) => (p.headers || []).join("\u0001") === signature) || valid[0] || null;
+}
@@ -0,0 +1,158 @@
+// --- CSV parsing (comma / semicolon / tab), incremental so large files can be fed in chunks.
+
+export function detectDelimiter(firstLine) {
+  const line = (firstLine || "").replace(/^\uFEFF/, "");
+  const commas = (line.match(/,/g) || []).length;
+  const semis = (line.match(/;/g) || []).length;
+  const tabs = (line.match(/\t/g) || []).length;
+  if (semis > commas && semis >= tabs) return ";";
+  if (tabs > commas && tabs > semis) return "\t";
+  return ",";
+}
+
+// push(chunk) / end() return the data rows completed so far as entries:
+//   { line, row, preview, issue }
+// where line is the 1-based line the row starts on, row maps header → value and
+// issue (or null) is { reason: "column_mismatch" | "unclosed_quote", detail }.
+// Quote state carries over chunk boundaries; the delimiter is detected on the first line.
+export function createCSVParser() {
+  let delim = null;
+  let head = ""; // buffered until the first line is complete
+  let field = "";
+  let row = [];
+  let inQuotes = false;
+  let quotePending = false; // saw `"` inside quotes: next char decides between `""` and closing
+  let header = null;
+  let out = [];
+
+  let line = 1;
+  let lastChar = "";
+  let rowStartLine = 1;
+  let quoteStartLine = 0;
+  let quotedNewline = false; // a quoted field in this row spans lines
+
+  const pushField = () => {
+    row.push(field);
+    field = "";
+  };
+  const pushRow = (issue = null) => {
+    if (!header) {
+      header = row.map((h) => (h || "").trim());
+    } else if (header.some(Boolean) && row.some((v) => (v || "").trim() !== "")) {
+      const obj = {};
+      // Unnamed columns (e.g. a header line ending in the delimiter) are dropped, as in spreadsheets
+      for (let c = 0; c < header.length; c++) if (header[c]) obj[header[c]] = row[c];
+      if (!issue && row.length !== header.length) {
+        // A stray quote usually shows up as a multi-line field plus a wrong column count
+        issue = quotedNewline
+          ? {
+              reason: "unclosed_quote",
+              detail: `Quote opened on line ${quoteStartLine} spans ${line - quoteStartLine + 1} lines; ${row.length} of ${header.length} columns`,
+            }
+          : { reason: "column_mismatch", detail: `${row.length} of ${header.length} columns` };
+      }
+      out.push({ line: rowStartLine, row: obj, preview: row.join(delim), issue });
+    }
+    row = [];
+    rowStartLine = line;
+    quotedNewline = false;
+  };
+
+  function consume(raw) {
+    if (raw) lastChar = raw[raw.length - 1];
+    for (let i = 0; i < raw.length; i++) {
+      const c = raw[i];
+
+      if (quotePending) {
+        quotePending = false;
+        if (c === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (c === '"') quotePending = true;
+        else {
+          if (c === "\n") {
+            line++;
+            quotedNewline = true;
+          }
+          field += c;
+        }
+        continue;
+      }
+
+      if (c === '"') {
+        inQuotes = true;
+        quoteStartLine = line;
+        continue;
+      }
+      if (c === delim) {
+        pushField();
+        continue;
+      }
+      if (c === "\n") {
+        pushField();
+        line++;
+        pushRow();
+        continue;
+      }
+      if (c === "\r") continue;
+      field += c;
+    }
+  }
+
+  function start(text) {
+    const raw = text.replace(/^\uFEFF/, "");
+    delim = detectDelimiter(raw.split(/\r?\n/)[0] || "");
+    consume(raw);
+  }
+
+  const flush = () => {
+    const done = out;
+    out = [];
+    return done;
+  };
+
+  return {
+    push(chunk) {
+      if (delim === null) {
+        head += chunk;
+        if (!/\n/.test(head)) return [];
+        const text = head;
+        head = "";
+        start(text);
+      } else {
+        consume(chunk);
+      }
+      return flush();
+    },
+    end() {
+      if (delim === null) start(head);
+      const unclosed = inQuotes && !quotePending;
+      pushField();
+      if (row.length > 1 || row[0] !== "") {
+        pushRow(
+          unclosed
+            ? {
+                reason: "unclosed_quote",
+                detail: `Quote opened on line ${quoteStartLine} never closes; the rest of the file was read as one field`,
+              }
+            : null
+        );
+      }
+      return flush();
+    },
+    headers: () => (header ? header.filter(Boolean) : []),
+    // Physical lines seen so far (a trailing newline does not start a new line)
+    lineCount: () => (!lastChar ? 0 : lastChar === "\n" ? line - 1 : line),
+  };
+}
+
+// Convenience for small texts: well-formed rows only.
+export function parseCSV(text) {
+  const parser = createCSVParser();
+  return [...parser.push((text || "").toString()), ...parser.end()].filter((e) => !e.issue).map((e) => e.row);
+}
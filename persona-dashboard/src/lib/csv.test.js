@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCSVParser, parseCSV } from "./csv.js";
+
+test("header line ending in the delimiter adds no unnamed column", () => {
+  const parser = createCSVParser();
+  const entries = [...parser.push("user_id;month;text;\nu1;2025-11;hallo;\n"), ...parser.end()];
+  assert.deepEqual(parser.headers(), ["user_id", "month", "text"]);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].issue, null);
+  assert.deepEqual(entries[0].row, { user_id: "u1", month: "2025-11", text: "hallo" });
+  assert.ok(!("" in entries[0].row));
+});
+
+test("quoted fields keep delimiters and escaped quotes", () => {
+  assert.deepEqual(parseCSV('user_id,text\nu1,"a, ""b"""\n'), [{ user_id: "u1", text: 'a, "b"' }]);
+});
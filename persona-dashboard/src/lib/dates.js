@@ -0,0 +1,185 @@
+// --- Date parsing: explicit or auto-detected formats, bucketed in a reporting timezone.
+// Timestamps are converted to the reporting timezone: values with an offset
+// (2025-09-30T22:30:00Z, …+02:00) by that offset, zone-less ones (2025-09-30 23:30,
+// 31-12-2025 23:30, Excel serials with a time) as wall-clock time in the source timezone
+// set in the column mapping (UTC unless changed). Dates without a time are taken as they are.
+
+export const DATE_FORMATS = [
+  { key: "auto", label: "Auto-detect" },
+  { key: "iso", label: "ISO (YYYY-MM-DD)" },
+  { key: "dmy", label: "DD-MM-YYYY" },
+  { key: "mdy", label: "MM/DD/YYYY" },
+  { key: "excel", label: "Excel serial number" },
+];
+
+export const DEFAULT_TIME_ZONE = "UTC";
+
+export const dateFormatLabel = (key) => DATE_FORMATS.find((f) => f.key === key)?.label || key;
+
+// Reporting timezone choices: UTC first, then the browser's zone, then everything Intl knows
+export function timeZoneOptions() {
+  const local = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const all = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  return Array.from(new Set([DEFAULT_TIME_ZONE, local, ...all].filter(Boolean)));
+}
+
+const ISO_SHAPE =
+  /^(\d{4})-(\d{1,2})(?:-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?)?)?$/i;
+const NUMERIC_SHAPE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const MONTH_YEAR_SHAPE = /^(\d{1,2})[-/.](\d{4})$/;
+const SERIAL_SHAPE = /^\d{1,6}(?:\.\d+)?$/;
+const EXPLICIT_ZONE = /(?:Z|GMT|UTC|[+-]\d{2}:?\d{2})$/i;
+const HAS_TIME = /\d{1,2}:\d{2}/;
+
+// 1927-05-18 … 2173-10-14: bare numbers in this range read as Excel serials when auto-detecting
+const SERIAL_MIN = 10000;
+const SERIAL_MAX = 100000;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30); // serial 0 (absorbs Excel's 1900 leap-year bug)
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const fullYear = (y) => (y.length === 2 ? 2000 + +y : +y);
+
+const zoneFormatters = new Map();
+// ms → wall-clock { year, month, day, hour, minute, second } in timeZone
+function zonedFields(ms, timeZone) {
+  let f = zoneFormatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    zoneFormatters.set(timeZone, f);
+  }
+  const out = {};
+  for (const p of f.formatToParts(ms)) if (p.type !== "literal") out[p.type] = +p.value;
+  return out;
+}
+
+function zonedParts(ms, timeZone) {
+  const { year, month, day } = zonedFields(ms, timeZone);
+  return { year, month, day };
+}
+
+// Wall-clock time in timeZone → ms. Times skipped or repeated by a DST change resolve to one of
+// the two offsets around it, which is as good as the source gives us.
+function wallClockToMs({ year, month, day, hour, minute, second }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = (ms) => {
+    const f = zonedFields(ms, timeZone);
+    return Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second) - Math.floor(ms / 1000) * 1000;
+  };
+  return wall - offsetAt(wall - offsetAt(wall));
+}
+
+function checkedParts(year, month, day, raw) {
+  if (month < 1 || month > 12 || (day !== null && (day < 1 || day > daysInMonth(year, month)))) {
+    return { issue: { reason: "bad_date", detail: `Impossible date “${raw}”` } };
+  }
+  return { parts: { year, month, day } };
+}
+
+// Column-level order for d-m-y / m-d-y values: any first part > 12 proves day-first and vice versa.
+// null when the column gives no evidence (or contradicts itself).
+function detectOrder(values) {
+  let dayFirst = false;
+  let monthFirst = false;
+  for (const v of values) {
+    const m = NUMERIC_SHAPE.exec((v || "").trim());
+    if (!m) continue;
+    if (+m[1] > 12 && +m[2] <= 12) dayFirst = true;
+    else if (+m[2] > 12 && +m[1] <= 12) monthFirst = true;
+    if (dayFirst && monthFirst) return null;
+  }
+  return dayFirst ? "dmy" : monthFirst ? "mdy" : null;
+}
+
+// Returns { parse(value) → { parts: { year, month, day|null } } | { issue }, detected }.
+// `values` (the whole date column) is only used to auto-detect the day/month order.
+// timeZone: the reporting timezone; sourceTimeZone: the one zone-less timestamps were written in.
+export function createDateParser(format = "auto", values = [], timeZone = DEFAULT_TIME_ZONE, sourceTimeZone = DEFAULT_TIME_ZONE) {
+  const order = format === "dmy" || format === "mdy" ? format : format === "auto" ? detectOrder(values) : null;
+
+  // A checked date plus an optional time of day ([hour, minute, second]) → parts in the reporting timezone
+  function placed(checked, time) {
+    if (!time || checked.issue || sourceTimeZone === timeZone) return checked;
+    const [hour, minute, second] = time;
+    return { parts: zonedParts(wallClockToMs({ ...checked.parts, hour, minute, second }, sourceTimeZone), timeZone) };
+  }
+  const timeOf = (h, m, sec) => (h === undefined ? null : [+h, +m, +(sec || 0)]);
+
+  function parseNumeric(m, raw) {
+    const a = +m[1];
+    const b = +m[2];
+    let dmy = order === "dmy";
+    if (!order) {
+      if (a > 12 && b <= 12) dmy = true;
+      else if (b > 12 && a <= 12) dmy = false;
+      else if (a !== b) {
+        return {
+          issue: {
+            reason: "ambiguous_date",
+            detail: `“${raw}” could be ${a} ${MONTH_NAMES[b - 1]} or ${b} ${MONTH_NAMES[a - 1]}; pick a date format in the column mapping`,
+          },
+        };
+      }
+    }
+    return placed(checkedParts(fullYear(m[3]), dmy ? b : a, dmy ? a : b, raw), timeOf(m[4], m[5], m[6]));
+  }
+
+  // The fraction is the time of day
+  function parseSerial(raw) {
+    const d = new Date(EXCEL_EPOCH + Math.round(+raw * 86400) * 1000);
+    const parts = { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+    return placed({ parts }, raw.includes(".") ? [d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()] : null);
+  }
+
+  function parse(value) {
+    const raw = (value || "").trim();
+    if (!raw) return { issue: { reason: "bad_date", detail: "No date" } };
+
+    // ISO is unambiguous, so it is accepted whatever the selected format
+    const iso = ISO_SHAPE.exec(raw);
+    if (iso) {
+      if (iso[7] && iso[4] !== undefined) {
+        const ms = Date.parse(raw.replace(" ", "T"));
+        if (!Number.isNaN(ms)) return { parts: zonedParts(ms, timeZone) };
+      }
+      return placed(checkedParts(+iso[1], +iso[2], iso[3] ? +iso[3] : null, raw), timeOf(iso[4], iso[5], iso[6]));
+    }
+
+    if (format === "excel" || (format === "auto" && SERIAL_SHAPE.test(raw))) {
+      const n = +raw;
+      if (SERIAL_SHAPE.test(raw) && (format === "excel" ? n >= 1 : n >= SERIAL_MIN && n <= SERIAL_MAX)) return parseSerial(raw);
+      return { issue: { reason: "bad_date", detail: `Not an Excel serial date “${raw}”` } };
+    }
+
+    const num = NUMERIC_SHAPE.exec(raw);
+    if (num && format !== "iso") return parseNumeric(num, raw);
+    const my = MONTH_YEAR_SHAPE.exec(raw);
+    if (my && format !== "iso") return checkedParts(+my[2], +my[1], null, raw);
+
+    // Free text ("Sep 14, 2025", RFC 2822) only when auto-detecting. Zone-less text is read as UTC
+    // to get its wall-clock fields, whatever the browser's own timezone is.
+    if (format === "auto") {
+      const zoned = EXPLICIT_ZONE.test(raw);
+      const d = new Date(zoned ? raw : `${raw} UTC`);
+      if (!Number.isNaN(d.getTime())) {
+        if (zoned) return { parts: zonedParts(d.getTime(), timeZone) };
+        const parts = { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+        return placed({ parts }, HAS_TIME.test(raw) ? [d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()] : null);
+      }
+    }
+    const expected = format === "auto" ? "" : ` (expected ${dateFormatLabel(format)})`;
+    return { issue: { reason: "bad_date", detail: `Unparseable date “${raw}”${expected}` } };
+  }
+
+  return { parse, detected: format === "auto" ? order : format };
+}
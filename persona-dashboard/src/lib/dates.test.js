@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDateParser } from "./dates.js";
+
+const parts = (parser, value) => parser.parse(value).parts;
+
+test("zone-less timestamps are read in the source timezone and bucketed in the reporting one", () => {
+  const amsterdam = createDateParser("auto", [], "Europe/Amsterdam");
+  assert.deepEqual(parts(amsterdam, "2025-09-30 23:30:00"), { year: 2025, month: 10, day: 1 });
+  assert.deepEqual(parts(amsterdam, "30-09-2025 23:30"), { year: 2025, month: 10, day: 1 });
+  assert.deepEqual(parts(amsterdam, "Sep 30, 2025 23:30"), { year: 2025, month: 10, day: 1 });
+  assert.deepEqual(parts(amsterdam, "45930.98"), { year: 2025, month: 10, day: 1 });
+
+  const fromAmsterdam = createDateParser("auto", [], "UTC", "Europe/Amsterdam");
+  assert.deepEqual(parts(fromAmsterdam, "2025-10-01 01:30"), { year: 2025, month: 9, day: 30 });
+  assert.deepEqual(parts(fromAmsterdam, "2025-10-01 02:30"), { year: 2025, month: 10, day: 1 });
+});
+
+test("dates without a time and timestamps with an offset ignore the source timezone", () => {
+  const parser = createDateParser("auto", [], "Europe/Amsterdam", "America/New_York");
+  assert.deepEqual(parts(parser, "2025-09-30"), { year: 2025, month: 9, day: 30 });
+  assert.deepEqual(parts(parser, "2025-09-30T21:30:00Z"), { year: 2025, month: 9, day: 30 });
+  assert.deepEqual(parts(parser, "2025-09-30T22:30:00Z"), { year: 2025, month: 10, day: 1 });
+});
+
+test("same source and reporting timezone keeps the wall-clock date", () => {
+  const parser = createDateParser("auto", [], "Europe/Amsterdam", "Europe/Amsterdam");
+  assert.deepEqual(parts(parser, "2025-09-30 23:30"), { year: 2025, month: 9, day: 30 });
+});
+
+test("the column settles the day/month order; without evidence ambiguous dates are flagged", () => {
+  const dmy = createDateParser("auto", ["31-12-2025", "05-06-2025"]);
+  assert.equal(dmy.detected, "dmy");
+  assert.deepEqual(parts(dmy, "05-06-2025"), { year: 2025, month: 6, day: 5 });
+
+  const mdy = createDateParser("auto", ["12/31/2025", "05/06/2025"]);
+  assert.equal(mdy.detected, "mdy");
+  assert.deepEqual(parts(mdy, "05/06/2025"), { year: 2025, month: 5, day: 6 });
+
+  const unknown = createDateParser("auto", ["05/06/2025"]);
+  assert.equal(unknown.parse("05/06/2025").issue.reason, "ambiguous_date");
+  assert.deepEqual(parts(unknown, "06/06/2025"), { year: 2025, month: 6, day: 6 });
+  assert.deepEqual(parts(unknown, "13/06/2025"), { year: 2025, month: 6, day: 13 });
+});
+
+test("an explicit format wins over the values, ISO is always accepted", () => {
+  const mdy = createDateParser("mdy", ["31-12-2025"]);
+  assert.deepEqual(parts(mdy, "01/12/2026"), { year: 2026, month: 1, day: 12 });
+  assert.deepEqual(parts(mdy, "2025-09"), { year: 2025, month: 9, day: null });
+  assert.equal(createDateParser("iso").parse("12/01/2026").issue.reason, "bad_date");
+});
+
+test("Excel serials, month-only values and impossible dates", () => {
+  const parser = createDateParser();
+  assert.deepEqual(parts(parser, "45930"), { year: 2025, month: 9, day: 30 });
+  assert.deepEqual(parts(parser, "09-2025"), { year: 2025, month: 9, day: null });
+  assert.equal(parser.parse("31-02-2025").issue.reason, "bad_date");
+  assert.equal(parser.parse("123").issue.reason, "bad_date");
+  assert.equal(parser.parse("").issue.reason, "bad_date");
+  assert.deepEqual(parts(createDateParser("excel"), "45930"), { year: 2025, month: 9, day: 30 });
+});
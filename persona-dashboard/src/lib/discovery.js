@@ -0,0 +1,70 @@
+// --- Keyword discovery: words and 2–3 word phrases whose entries churn more (or less) than the rest.
+// Counts are per user-period (a phrase counts once per entry). Lift = churn rate of entries with the
+// phrase ÷ overall churn rate; significance is a two-proportion z-test, with vs. without the phrase.
+
+import { normalizeText } from "./normalize.js";
+import { UNDETERMINED } from "./language.js";
+import { twoProportionTest } from "./stats.js";
+
+export const DEFAULT_MIN_SUPPORT = 10;
+const MAX_PHRASE_WORDS = 3;
+const MIN_WORD_LENGTH = 3; // single words shorter than this are noise ("ik", "de")
+
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+const DIGITS = /^[\d\s]+$/;
+
+// Distinct n-grams (1..MAX_PHRASE_WORDS words) of one text, normalized like the keyword rules
+export function phrasesOf(text, normalization) {
+  const words = normalizeText(text, normalization).text.match(WORD) || [];
+  const out = new Set();
+  for (let i = 0; i < words.length; i++) {
+    let phrase = "";
+    for (let n = 0; n < MAX_PHRASE_WORDS && i + n < words.length; n++) {
+      phrase = n ? `${phrase} ${words[i + n]}` : words[i];
+      if (!n && phrase.length < MIN_WORD_LENGTH) continue;
+      if (!DIGITS.test(phrase)) out.add(phrase);
+    }
+  }
+  return out;
+}
+
+// rows: classified user-periods ({ text, language, active_next_period })
+// Returns { entries, churned, churnRate, candidates } with candidates
+// [{ phrase, words, support, churned, churnRate, lift, z, p, language }] for phrases in at least
+// minSupport entries (and not in every entry), most frequent language first in `language`.
+export function discoverPhrases(rows, { normalization, minSupport = DEFAULT_MIN_SUPPORT } = {}) {
+  const stats = new Map();
+  let churned = 0;
+  for (const r of rows) {
+    const lost = !r.active_next_period;
+    if (lost) churned++;
+    for (const phrase of phrasesOf(r.text, normalization)) {
+      let s = stats.get(phrase);
+      if (!s) stats.set(phrase, (s = { support: 0, churned: 0, languages: {} }));
+      s.support++;
+      if (lost) s.churned++;
+      if (r.language && r.language !== UNDETERMINED) s.languages[r.language] = (s.languages[r.language] || 0) + 1;
+    }
+  }
+
+  const entries = rows.length;
+  const churnRate = entries ? churned / entries : 0;
+  const candidates = [];
+  for (const [phrase, s] of stats) {
+    if (s.support < minSupport || s.support === entries) continue;
+    const rate = s.churned / s.support;
+    const { z, p } = twoProportionTest(s.churned, s.support, churned - s.churned, entries - s.support);
+    candidates.push({
+      phrase,
+      words: phrase.split(" ").length,
+      support: s.support,
+      churned: s.churned,
+      churnRate: rate,
+      lift: churnRate ? rate / churnRate : null,
+      z,
+      p,
+      language: Object.entries(s.languages).sort((a, b) => b[1] - a[1])[0]?.[0] || null,
+    });
+  }
+  return { entries, churned, churnRate, candidates };
+}
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { discoverPhrases, phrasesOf } from "./discovery.js";
+import { NO_NORMALIZATION } from "./normalize.js";
+
+test("phrases are distinct 1–3 word n-grams without short words or bare numbers", () => {
+  const phrases = phrasesOf("Ik ben er klaar mee, klaar 2025", NO_NORMALIZATION);
+  assert.ok(phrases.has("klaar mee"));
+  assert.ok(phrases.has("ik ben er"));
+  assert.ok(!phrases.has("ik"));
+  assert.ok(!phrases.has("2025"));
+  assert.equal([...phrases].filter((p) => p === "klaar").length, 1);
+});
+
+test("lift compares a phrase's churn with the overall churn rate", () => {
+  const row = (text, active_next_period) => ({ text, language: "nl", active_next_period });
+  const rows = [
+    ...Array.from({ length: 10 }, () => row("klaar mee", false)),
+    ...Array.from({ length: 30 }, () => row("prima app", true)),
+    ...Array.from({ length: 10 }, () => row("prima app", false)),
+  ];
+  const { churnRate, candidates } = discoverPhrases(rows, { normalization: NO_NORMALIZATION });
+  assert.equal(churnRate, 20 / 50);
+  const klaar = candidates.find((c) => c.phrase === "klaar mee");
+  assert.equal(klaar.lift, 1 / 0.4);
+  assert.equal(klaar.language, "nl");
+  assert.ok(klaar.p < 0.05);
+});
@@ -0,0 +1,30 @@
+// --- Browser downloads
+
+export function downloadCSV(filename, rows) {
+  const headers = Object.keys(rows[0] || {});
+  const esc = (v) => {
+    const s = (v ?? "").toString();
+    if (/[",\n\r]/.test(s)) return '"' + s.replaceAll('"', '""') + '"';
+    return s;
+  };
+  const lines = [headers.join(",")];
+  for (const r of rows) {
+    lines.push(headers.map((h) => esc(r[h])).join(","));
+  }
+  downloadBlob(filename, new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8" }));
+}
+
+export function downloadJSON(filename, data) {
+  downloadBlob(filename, new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,39 @@
+// --- Gold-set evaluation: keyword predictions vs. human labels (manual overrides).
+// pairs: [{ predicted, actual }] with persona keys or null (no persona).
+
+const ratio = (a, b) => (b ? a / b : null);
+
+// Returns { total, correct, accuracy, perPersona, labels, matrix } where matrix[actual][predicted]
+// counts entries and labels lists the matrix axes (persona keys in priority order, then null).
+export function evaluatePredictions(pairs, personaKeys) {
+  const labels = [...personaKeys, null];
+  const idx = new Map(labels.map((l, i) => [l, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  let correct = 0;
+
+  for (const { predicted, actual } of pairs) {
+    // Labels for personas deleted since don't fit the axes
+    if (!idx.has(predicted) || !idx.has(actual)) continue;
+    matrix[idx.get(actual)][idx.get(predicted)]++;
+    if (predicted === actual) correct++;
+  }
+  const total = matrix.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0);
+
+  const perPersona = personaKeys.map((key) => {
+    const i = idx.get(key);
+    const tp = matrix[i][i];
+    const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0);
+    const support = matrix[i].reduce((a, b) => a + b, 0);
+    return {
+      key,
+      tp,
+      fp: predictedCount - tp,
+      fn: support - tp,
+      support,
+      precision: ratio(tp, predictedCount),
+      recall: ratio(tp, support),
+    };
+  });
+
+  return { total, correct, accuracy: ratio(correct, total), perPersona, labels, matrix };
+}
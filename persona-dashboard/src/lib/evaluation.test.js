@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluatePredictions } from "./evaluation.js";
+
+test("accuracy, precision, recall and the confusion matrix", () => {
+  const pairs = [
+    { predicted: "a", actual: "a" },
+    { predicted: "a", actual: "b" },
+    { predicted: "b", actual: "b" },
+    { predicted: null, actual: "a" },
+    { predicted: null, actual: null },
+    { predicted: "gone", actual: "a" },
+  ];
+  const result = evaluatePredictions(pairs, ["a", "b"]);
+  assert.equal(result.total, 5);
+  assert.equal(result.correct, 3);
+  assert.equal(result.accuracy, 3 / 5);
+  assert.deepEqual(result.labels, ["a", "b", null]);
+  assert.deepEqual(result.matrix, [
+    [1, 0, 1],
+    [1, 1, 0],
+    [0, 0, 1],
+  ]);
+  const [a, b] = result.perPersona;
+  assert.deepEqual([a.tp, a.fp, a.fn, a.precision, a.recall], [1, 1, 1, 1 / 2, 1 / 2]);
+  assert.deepEqual([b.precision, b.recall], [1, 1 / 2]);
+});
+
+test("no labels means no rates rather than zero", () => {
+  const result = evaluatePredictions([], ["a"]);
+  assert.equal(result.accuracy, null);
+  assert.equal(result.perPersona[0].precision, null);
+});
@@ -0,0 +1,91 @@
+// --- Per-entry explanation: which keyword rules matched where, and why a persona was assigned.
+// Runs on the main thread for the entries on screen only (the worker sends match counts, not spans).
+
+import { matchContext } from "./rules.js";
+
+// Every rule match in `text`: [{ persona, rule, start, end, phrase }] in text order.
+// Spans are found on the normalized text and mapped back onto the original.
+// normalization: the options the rules were compiled with.
+export function findPersonaMatches(text, rules, personaKeys, normalization) {
+  const raw = (text || "").toString();
+  const ctx = matchContext(raw, normalization);
+  const out = [];
+  for (const persona of personaKeys) {
+    for (const rule of rules[persona] || []) {
+      for (const h of rule.find(ctx)) {
+        const start = ctx.from ? ctx.from[h.start] : h.start;
+        const end = ctx.to ? ctx.to[h.end - 1] : h.end;
+        out.push({ persona, rule: rule.source, start, end, phrase: raw.slice(start, end) });
+      }
+    }
+  }
+  return out.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+// Text split into [{ text, persona|null }]; overlapping matches go to the higher-priority persona
+export function highlightSegments(text, matches, personaKeys) {
+  const raw = (text || "").toString();
+  if (!matches.length) return [{ text: raw, persona: null }];
+
+  const rank = new Map(personaKeys.map((k, i) => [k, i]));
+  const owner = new Array(raw.length).fill(null);
+  for (const m of matches) {
+    for (let i = m.start; i < m.end; i++) {
+      if (owner[i] === null || rank.get(m.persona) < rank.get(owner[i])) owner[i] = m.persona;
+    }
+  }
+
+  const segments = [];
+  let start = 0;
+  for (let i = 1; i <= raw.length; i++) {
+    if (i === raw.length || owner[i] !== owner[start]) {
+      segments.push({ text: raw.slice(start, i), persona: owner[start] });
+      start = i;
+    }
+  }
+  return segments;
+}
+
+// Why the entry counts for `assigned` in the given mode: a short sentence for the explanation panel.
+// flags/scores as returned by classifyDominantPersona; label(key) gives display names.
+// modelPersona: the trained classifier's answer (undefined without a model).
+export function explainAssignment({ assigned, flags, scores, mode, minScore, personaKeys, label, modelPersona }) {
+  const matched = personaKeys.filter((k) => flags?.[k]);
+  const priority = (k) => `P${personaKeys.indexOf(k) + 1}`;
+  const score = (k) => Math.round((scores?.[k] || 0) * 100) / 100;
+
+  if (mode === "model") {
+    const keyword = matched[0];
+    const byKeywords = keyword ? `keyword rules would pick ${label(keyword)}` : "no keyword rule matched";
+    if (modelPersona === undefined || assigned !== modelPersona) {
+      return `Keyword result (no usable classifier prediction): ${keyword ? `${label(keyword)} is the highest-priority match.` : "no keyword rule matched."}`;
+    }
+    return `The trained classifier picked ${assigned ? label(assigned) : "no persona"} from the whole text; ${byKeywords}.`;
+  }
+
+  if (!matched.length) return "No keyword rule matched, so no persona is assigned.";
+
+  if (mode === "multi") {
+    return `Multi-label mode counts the entry for every matched persona: ${matched.map(label).join(", ")}.`;
+  }
+
+  if (mode === "weighted") {
+    if (!assigned) {
+      const best = [...matched].sort((a, b) => score(b) - score(a))[0];
+      return `Highest score is ${label(best)} with ${score(best)}, below the minimum score of ${minScore}.`;
+    }
+    const tied = matched.filter((k) => k !== assigned && score(k) === score(assigned));
+    if (tied.length) {
+      return `${label(assigned)} ties with ${tied.map(label).join(", ")} at score ${score(assigned)} and wins on priority (${priority(assigned)}).`;
+    }
+    const others = matched.filter((k) => k !== assigned);
+    const runnerUp = others.sort((a, b) => score(b) - score(a))[0];
+    return runnerUp
+      ? `${label(assigned)} has the highest score (${score(assigned)}), ahead of ${label(runnerUp)} (${score(runnerUp)}).`
+      : `${label(assigned)} is the only persona that matched (score ${score(assigned)}).`;
+  }
+
+  if (matched.length === 1) return `${label(assigned)} is the only persona that matched.`;
+  const lower = matched.filter((k) => k !== assigned).map((k) => `${label(k)} (${priority(k)})`);
+  return `${label(assigned)} (${priority(assigned)}) is the highest-priority persona that matched; it outranks ${lower.join(", ")}.`;
+}
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findPersonaMatches } from "./explain.js";
+import { normalizeText, NO_NORMALIZATION } from "./normalize.js";
+import { compileKeywords } from "./rules.js";
+
+const FOLDED = { ...NO_NORMALIZATION, diacritics: true };
+
+test("offset maps count UTF-16 units, so emoji don't shift later offsets", () => {
+  const { text, from, to } = normalizeText("😀 Café", FOLDED);
+  assert.equal(text, "😀 cafe");
+  assert.equal(from.length, text.length);
+  assert.deepEqual([from[3], to[6]], [3, 7]);
+});
+
+test("highlights after an emoji land on the matched words", () => {
+  const rules = compileKeywords({ emotional: ["klaar mee"] }, FOLDED);
+  const [match] = findPersonaMatches("😀😀 Ik ben er klaar mee!", rules, ["emotional"], FOLDED);
+  assert.equal(match.phrase, "klaar mee");
+});
@@ -0,0 +1,36 @@
+// --- User journey: one user's periods from first appearance to the latest period in the data, with
+// the feedback entry of each period (if any) and whether they were active in it.
+
+import { nextPeriod } from "./periods.js";
+import { splitPresenceKey } from "./cohorts.js";
+
+// Safety cap on the walk from first to last period (about 20 years of weeks)
+const MAX_PERIODS = 1040;
+
+// entries: the user's classified rows ({ period, … }); presence: Set of "user__period" (activity
+// log if loaded, else feedback). Returns [{ period, entry, present }] in period order; entry is null
+// for periods without feedback.
+export function userTimeline({ userId, entries, presence, granularity }) {
+  const byPeriod = new Map(entries.map((e) => [e.period, e]));
+  let first = "";
+  let last = "";
+  for (const e of entries) {
+    if (!first || e.period < first) first = e.period;
+    if (e.period > last) last = e.period;
+  }
+  for (const key of presence || []) {
+    const [user, period] = splitPresenceKey(key);
+    if (period > last) last = period;
+    if (user === userId && (!first || period < first)) first = period;
+  }
+
+  const timeline = [];
+  for (let p = first; p && p <= last && timeline.length < MAX_PERIODS; p = nextPeriod(p, granularity)) {
+    timeline.push({
+      period: p,
+      entry: byPeriod.get(p) || null,
+      present: byPeriod.has(p) || Boolean(presence?.has(`${userId}__${p}`)),
+    });
+  }
+  return timeline;
+}
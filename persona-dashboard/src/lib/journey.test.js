@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { userTimeline } from "./journey.js";
+
+test("the timeline runs from the user's first period to the latest in the data", () => {
+  const entries = [{ period: "2025-08", text: "klaar mee" }];
+  const presence = new Set(["u1__2025-07", "u1__2025-08", "u2__2025-10"]);
+  const timeline = userTimeline({ userId: "u1", entries, presence, granularity: "month" });
+  assert.deepEqual(
+    timeline.map((t) => [t.period, Boolean(t.entry), t.present]),
+    [
+      ["2025-07", false, true],
+      ["2025-08", true, true],
+      ["2025-09", false, false],
+      ["2025-10", false, false],
+    ]
+  );
+});
+
+test("an unknown user has an empty timeline", () => {
+  assert.deepEqual(userTimeline({ userId: "x", entries: [], presence: new Set(), granularity: "month" }), []);
+});
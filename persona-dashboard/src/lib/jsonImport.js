@@ -0,0 +1,101 @@
+// --- JSON / NDJSON import (ticket dumps, event logs).
+// Records are flattened to dotted paths ("requester.id", "comments[].body") so the
+// column-mapping step can pick user id / timestamp / text paths like CSV headers.
+// Values under arrays are concatenated with newlines, which turns a ticket's
+// comment thread into one text field.
+
+const JSON_EXT = /\.(json|ndjson|jsonl)$/i;
+
+export const JSON_ACCEPT = ".json,.ndjson,.jsonl,application/json";
+
+export function isJsonFile(file) {
+  return JSON_EXT.test(file?.name || "");
+}
+
+// Whole-document JSON first; fall back to one JSON value per line.
+// Returns { line, record } with the NDJSON line or the 1-based record number; NDJSON lines that
+// don't parse come back as { line, error, raw } so the rest of the file still loads. When no line
+// parses at all the file wasn't NDJSON, and the whole-document error is thrown.
+function parseRecords(text) {
+  const raw = (text || "").toString().replace(/^\uFEFF/, "").trim();
+  if (!raw) return [];
+
+  let doc;
+  try {
+    doc = JSON.parse(raw);
+  } catch (e) {
+    const lines = raw.split(/\r?\n/);
+    if (lines.length < 2) throw e;
+    const records = lines.flatMap((line, idx) => {
+      if (!line.trim()) return [];
+      try {
+        return [{ line: idx + 1, record: JSON.parse(line) }];
+      } catch (err) {
+        return [{ line: idx + 1, error: err?.message || String(err), raw: line }];
+      }
+    });
+    if (records.every((r) => r.error)) throw e;
+    return records;
+  }
+
+  let list = [];
+  if (Array.isArray(doc)) list = doc;
+  else if (doc && typeof doc === "object") {
+    // Wrapped exports: { tickets: [...] }, { data: [...] }, ...
+    list = Object.values(doc).find((v) => Array.isArray(v) && v.some((x) => x && typeof x === "object")) || [doc];
+  }
+  return list.map((record, idx) => ({ line: idx + 1, record }));
+}
+
+function collect(value, path, out) {
+  if (value === null || value === undefined) return;
+  if (Array.isArray(value)) {
+    for (const v of value) collect(v, `${path}[]`, out);
+    return;
+  }
+  if (typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) collect(v, path ? `${path}.${k}` : k, out);
+    return;
+  }
+  const s = String(value);
+  out[path] = out[path] ? `${out[path]}\n${s}` : s;
+}
+
+export function flattenRecord(record) {
+  const out = {};
+  if (record && typeof record === "object") collect(record, "", out);
+  else if (record !== null && record !== undefined) out.value = String(record);
+  return out;
+}
+
+// Returns parser entries like createCSVParser: { line, row, preview, issue };
+// every row carries every path. Malformed NDJSON lines are entries with an "invalid_json" issue.
+export function parseJSONEntries(text) {
+  const records = parseRecords(text);
+  const flat = records.map((r) => (r.error ? {} : flattenRecord(r.record)));
+
+  const paths = [];
+  const seen = new Set();
+  for (const r of flat) {
+    for (const k of Object.keys(r)) {
+      if (!seen.has(k)) {
+        seen.add(k);
+        paths.push(k);
+      }
+    }
+  }
+
+  const out = [];
+  flat.forEach((r, idx) => {
+    const { line, error, raw } = records[idx];
+    if (error) {
+      out.push({ line, row: {}, preview: raw.slice(0, 500), issue: { reason: "invalid_json", detail: error } });
+      return;
+    }
+    const obj = {};
+    for (const p of paths) obj[p] = r[p] ?? "";
+    if (!Object.values(obj).some((v) => v.trim() !== "")) return;
+    out.push({ line: records[idx].line, row: obj, preview: JSON.stringify(records[idx].record).slice(0, 500), issue: null });
+  });
+  return out;
+}
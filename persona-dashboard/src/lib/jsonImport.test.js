@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseJSONEntries } from "./jsonImport.js";
+
+test("a malformed NDJSON line is rejected with its line number; the rest loads", () => {
+  const text = ['{"user":"u1","text":"a"}', '{"user":"u2",', "", '{"user":"u3","text":"c"}'].join("\n");
+  const entries = parseJSONEntries(text);
+  assert.deepEqual(entries.filter((e) => !e.issue).map((e) => [e.line, e.row.user]), [[1, "u1"], [4, "u3"]]);
+  const bad = entries.filter((e) => e.issue);
+  assert.equal(bad.length, 1);
+  assert.equal(bad[0].line, 2);
+  assert.equal(bad[0].issue.reason, "invalid_json");
+  assert.equal(bad[0].preview, '{"user":"u2",');
+});
+
+test("a file where no line parses is reported as invalid JSON", () => {
+  assert.throws(() => parseJSONEntries('{\n  "user": \n}'));
+});
@@ -0,0 +1,179 @@
+// --- Keyword configurations: named, versioned snapshots of the persona set + keyword lists.
+// Stored in localStorage next to the mapping presets; exported/imported as JSON files.
+// A config is { name, versions: [{ version, savedAt, personas, keywords }] } with versions
+// numbered from 1; keywords are language packs (configs saved before packs read as Dutch).
+// The working copy (unsaved edits) is stored separately so a refresh keeps it.
+
+import { LANGUAGES } from "./language.js";
+import { normalizeKeywordPacks, validatePersonas } from "./personas.js";
+
+const CONFIGS_STORAGE_KEY = "persona-dashboard:keyword-configs";
+const ACTIVE_STORAGE_KEY = "persona-dashboard:active-keyword-config";
+const DRAFT_STORAGE_KEY = "persona-dashboard:keyword-draft";
+
+const FILE_FORMAT = "persona-dashboard/keyword-config";
+const FILE_FORMAT_VERSION = 1;
+
+export class ConfigImportError extends Error {}
+
+function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJSON(key, value) {
+  try {
+    if (value === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full or disabled: configs just won't survive a refresh
+  }
+  return value;
+}
+
+export function loadConfigs() {
+  const parsed = readJSON(CONFIGS_STORAGE_KEY, []);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+const storeConfigs = (configs) => writeJSON(CONFIGS_STORAGE_KEY, configs);
+
+// Active config reference { name, version } (or null) and the working copy { personas, keywords }
+export const loadActiveConfig = () => readJSON(ACTIVE_STORAGE_KEY, null);
+export const storeActiveConfig = (ref) => writeJSON(ACTIVE_STORAGE_KEY, ref);
+export const loadDraft = () => readJSON(DRAFT_STORAGE_KEY, null);
+export const storeDraft = (draft) => writeJSON(DRAFT_STORAGE_KEY, draft);
+
+export function findVersion(configs, ref) {
+  if (!ref) return null;
+  const config = configs.find((c) => c.name === ref.name);
+  return config?.versions.find((v) => v.version === ref.version) || null;
+}
+
+export const latestVersion = (config) => config.versions[config.versions.length - 1];
+
+export const configLabel = (ref) => (ref ? `${ref.name} v${ref.version}` : "Unsaved");
+
+// Keyword lists in language × persona order, so key order in the keywords object doesn't count as a change
+function snapshot(personas, keywords) {
+  const packs = normalizeKeywordPacks(keywords);
+  return JSON.stringify({ personas, keywords: LANGUAGES.map((l) => personas.map((p) => packs[l.key]?.[p.key] || [])) });
+}
+
+// True when personas/keywords equal the given saved version
+export const sameAsVersion = (version, personas, keywords) =>
+  !!version && snapshot(version.personas, version.keywords) === snapshot(personas, keywords);
+
+// Saves personas/keywords as the next version of `name` (a new config when the name is new).
+// Returns { configs, ref } with ref pointing at the saved (or unchanged latest) version.
+export function saveConfigVersion(name, personas, keywords) {
+  const trimmed = (name || "").trim();
+  const configs = loadConfigs();
+  if (!trimmed) return { configs, ref: null };
+
+  const existing = configs.find((c) => c.name === trimmed);
+  const latest = existing && latestVersion(existing);
+  if (latest && sameAsVersion(latest, personas, keywords)) {
+    return { configs, ref: { name: trimmed, version: latest.version } };
+  }
+  const version = { version: latest ? latest.version + 1 : 1, savedAt: new Date().toISOString(), personas, keywords };
+  const next = existing
+    ? configs.map((c) => (c.name === trimmed ? { ...c, versions: [...c.versions, version] } : c))
+    : [...configs, { name: trimmed, versions: [version] }];
+  return { configs: storeConfigs(next), ref: { name: trimmed, version: version.version } };
+}
+
+export function deleteConfig(name) {
+  return storeConfigs(loadConfigs().filter((c) => c.name !== name));
+}
+
+// --- JSON files
+
+export function configFile(config) {
+  return { format: FILE_FORMAT, formatVersion: FILE_FORMAT_VERSION, name: config.name, versions: config.versions };
+}
+
+function checkVersion(v, idx) {
+  const where = `version ${v?.version ?? idx + 1}`;
+  if (!Array.isArray(v?.personas) || !v.personas.length) throw new ConfigImportError(`${where}: no personas`);
+  for (const p of v.personas) {
+    if (!p || typeof p.key !== "string" || !p.key || typeof p.label !== "string") {
+      throw new ConfigImportError(`${where}: every persona needs a key and a label`);
+    }
+  }
+  // Same rules as the persona editor, plus unique, non-reserved keys (segments, overrides and the
+  // trained model are all indexed by key)
+  const problem = Object.values(validatePersonas(v.personas))[0];
+  if (problem) throw new ConfigImportError(`${where}: ${problem}`);
+  if (!v.keywords || typeof v.keywords !== "object" || Array.isArray(v.keywords)) {
+    throw new ConfigImportError(`${where}: keywords must be an object of language → persona → rules`);
+  }
+  const packs = normalizeKeywordPacks(v.keywords);
+  const rules = (list) => (Array.isArray(list) ? list : []).filter((k) => typeof k === "string");
+  return {
+    version: idx + 1,
+    savedAt: typeof v.savedAt === "string" ? v.savedAt : new Date().toISOString(),
+    personas: v.personas.map((p) => ({
+      key: p.key,
+      label: p.label,
+      icon: typeof p.icon === "string" ? p.icon : "Tag",
+      color: typeof p.color === "string" ? p.color : "#64748b",
+      description: typeof p.description === "string" ? p.description : "",
+      ...(p.spotlight ? { spotlight: true } : {}),
+    })),
+    keywords: Object.fromEntries(
+      LANGUAGES.map((l) => [l.key, Object.fromEntries(v.personas.map((p) => [p.key, rules(packs[l.key]?.[p.key])]))])
+    ),
+  };
+}
+
+// Parses an exported config file. Throws ConfigImportError with a readable message.
+export function parseConfigFile(text) {
+  let doc;
+  try {
+    doc = JSON.parse((text || "").toString().replace(/^\uFEFF/, ""));
+  } catch {
+    throw new ConfigImportError("Not a JSON file");
+  }
+  if (doc?.format !== FILE_FORMAT) throw new ConfigImportError("Not a keyword configuration export");
+  if (doc.formatVersion > FILE_FORMAT_VERSION) throw new ConfigImportError("Exported by a newer version of the dashboard");
+  if (typeof doc.name !== "string" || !doc.name.trim()) throw new ConfigImportError("Configuration has no name");
+  if (!Array.isArray(doc.versions) || !doc.versions.length) throw new ConfigImportError("Configuration has no versions");
+  return { name: doc.name.trim(), versions: doc.versions.map(checkVersion) };
+}
+
+// Stores an imported config; a name that is already taken gets a " (2)", " (3)" … suffix
+export function importConfig(config) {
+  const configs = loadConfigs();
+  const taken = new Set(configs.map((c) => c.name));
+  let name = config.name;
+  for (let i = 2; taken.has(name); i++) name = `${config.name} (${i})`;
+  const next = storeConfigs([...configs, { ...config, name }]);
+  return { configs: next, ref: { name, version: latestVersion(config).version } };
+}
+
+// --- Diff: keywords added/removed per persona between two versions (a → b), as "lang: rule"
+function flatRules(keywords, key) {
+  const packs = normalizeKeywordPacks(keywords);
+  return new Set(LANGUAGES.flatMap((l) => (packs[l.key]?.[key] || []).map((rule) => `${l.key}: ${rule}`)));
+}
+
+export function diffVersions(a, b) {
+  const labels = new Map([...a.personas, ...b.personas].map((p) => [p.key, p.label]));
+  const inA = new Set(a.personas.map((p) => p.key));
+  const inB = new Set(b.personas.map((p) => p.key));
+  const out = [];
+  for (const key of labels.keys()) {
+    const before = flatRules(a.keywords, key);
+    const after = flatRules(b.keywords, key);
+    const added = [...after].filter((k) => !before.has(k));
+    const removed = [...before].filter((k) => !after.has(k));
+    const status = !inA.has(key) ? "added" : !inB.has(key) ? "removed" : added.length || removed.length ? "changed" : "";
+    if (status) out.push({ key, label: labels.get(key), status, added, removed });
+  }
+  return out;
+}
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ConfigImportError, parseConfigFile } from "./keywordConfigs.js";
+
+const file = (personas) =>
+  JSON.stringify({
+    format: "persona-dashboard/keyword-config",
+    formatVersion: 1,
+    name: "Imported",
+    versions: [{ version: 1, personas, keywords: { nl: {} } }],
+  });
+
+test("a valid config imports", () => {
+  const config = parseConfigFile(file([{ key: "trust", label: "Trust" }, { key: "habit", label: "Habit" }]));
+  assert.deepEqual(config.versions[0].personas.map((p) => p.key), ["trust", "habit"]);
+});
+
+test("repeated persona keys are rejected", () => {
+  assert.throws(
+    () => parseConfigFile(file([{ key: "trust", label: "Trust" }, { key: "trust", label: "Trust again" }])),
+    (e) => e instanceof ConfigImportError && /Duplicate key “trust”/.test(e.message)
+  );
+});
+
+test("persona keys outside the slug shape are rejected", () => {
+  for (const key of ["a.b", "Trust", "vertrouwen-laag"]) {
+    assert.throws(
+      () => parseConfigFile(file([{ key, label: "Trust" }])),
+      (e) => e instanceof ConfigImportError && /may only contain/.test(e.message)
+    );
+  }
+});
+
+test("persona keys with the reserved __ prefix are rejected", () => {
+  assert.throws(
+    () => parseConfigFile(file([{ key: "__all__", label: "Everyone" }])),
+    (e) => e instanceof ConfigImportError && /reserved/.test(e.message)
+  );
+});
@@ -0,0 +1,114 @@
+// --- Per-keyword analytics: how often each rule fires, whether it decides the dominant persona,
+// retention of the entries it matches and which other rule it overlaps with most.
+// Works on the hits the worker already returns per user-period; nothing is re-matched.
+
+import { pickWeightedPersona } from "./pipeline.js";
+import { validateRule } from "./rules.js";
+
+// A rule matching at least this share of all entries is flagged as too broad
+export const BROAD_SHARE = 0.2;
+
+const ruleId = (persona, rule) => `${persona}\u0000${rule}`;
+
+// Keyword result for the entry: priority order, or the weighted pick in weighted mode.
+// (Classifier and multi-label results don't hinge on a single rule, so they use the dominant persona.)
+function keywordPersona(flags, scores, personaKeys, mode, minScore) {
+  if (mode === "weighted") return pickWeightedPersona(scores, personaKeys, minScore);
+  return personaKeys.find((k) => flags[k]) || null;
+}
+
+// rows: classified user-periods; keywords: language packs; periods: sorted period list.
+// latestPeriod: left out of retention, since nobody can be seen in its next period yet.
+// Returns one entry per distinct persona rule (over all packs), in persona priority order:
+// { persona, rule, languages, invalid, matches, byPeriod, entries, share, deciding, retention,
+//   overlap: { persona, rule, share } | null, dead, broad }
+export function keywordAnalytics(rows, { keywords, personaKeys, periods, latestPeriod, mode, minScore }) {
+  const stats = new Map();
+  const ensure = (persona, rule) => {
+    const id = ruleId(persona, rule);
+    if (!stats.has(id)) {
+      stats.set(id, {
+        persona,
+        rule,
+        languages: [],
+        matches: 0,
+        byPeriod: {},
+        entries: 0,
+        closed: 0,
+        retained: 0,
+        deciding: 0,
+        cooccur: new Map(),
+      });
+    }
+    return stats.get(id);
+  };
+
+  for (const key of personaKeys) {
+    for (const [lang, pack] of Object.entries(keywords || {})) {
+      for (const rule of pack?.[key] || []) {
+        const s = ensure(key, rule);
+        if (!s.languages.includes(lang)) s.languages.push(lang);
+      }
+    }
+  }
+
+  for (const r of rows) {
+    const fired = [];
+    for (const key of personaKeys) {
+      // The same rule in several packs shows up once per pack for undetected entries
+      const counts = new Map();
+      for (const h of r.hits?.[key] || []) counts.set(h.rule, (counts.get(h.rule) || 0) + h.count);
+      for (const [rule, count] of counts) fired.push({ persona: key, rule, count });
+    }
+    if (!fired.length) continue;
+
+    const assigned = keywordPersona(r.flags || {}, r.scores || {}, personaKeys, mode, minScore);
+    for (const f of fired) {
+      const s = ensure(f.persona, f.rule);
+      s.matches += f.count;
+      s.byPeriod[r.period] = (s.byPeriod[r.period] || 0) + f.count;
+      s.entries++;
+      if (r.period !== latestPeriod) {
+        s.closed++;
+        if (r.active_next_period) s.retained++;
+      }
+
+      // Deciding: without this rule's matches the entry would get a different persona
+      if (assigned && f.persona === assigned) {
+        const weight = r.hits[f.persona].filter((h) => h.rule === f.rule).reduce((sum, h) => sum + h.count * h.weight, 0);
+        const flags = { ...r.flags, [f.persona]: r.hits[f.persona].some((h) => h.rule !== f.rule) };
+        const scores = { ...r.scores, [f.persona]: (r.scores?.[f.persona] || 0) - weight };
+        if (keywordPersona(flags, scores, personaKeys, mode, minScore) !== assigned) s.deciding++;
+      }
+      for (const other of fired) {
+        if (other === f) continue;
+        const id = ruleId(other.persona, other.rule);
+        s.cooccur.set(id, (s.cooccur.get(id) || 0) + 1);
+      }
+    }
+  }
+
+  const total = rows.length;
+  const rank = new Map(personaKeys.map((k, i) => [k, i]));
+  return Array.from(stats.values())
+    .filter((s) => rank.has(s.persona))
+    .sort((a, b) => rank.get(a.persona) - rank.get(b.persona))
+    .map(({ cooccur, closed, retained, ...s }) => {
+      let overlap = null;
+      for (const [id, n] of cooccur) {
+        if (!overlap || n > overlap.n) overlap = { id, n };
+      }
+      const [persona, rule] = overlap ? overlap.id.split("\u0000") : [];
+      const share = total ? s.entries / total : 0;
+      return {
+        ...s,
+        invalid: validateRule(s.rule),
+        byPeriod: periods.map((p) => ({ period: p, matches: s.byPeriod[p] || 0 })),
+        share,
+        retention: closed ? retained / closed : null,
+        overlap: overlap ? { persona, rule, share: overlap.n / s.entries } : null,
+        dead: s.matches === 0,
+        broad: share >= BROAD_SHARE,
+      };
+    });
+}
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { keywordAnalytics } from "./keywordStats.js";
+
+const row = (period, active_next_period) => ({
+  period,
+  active_next_period,
+  flags: { emotional: true },
+  scores: { emotional: 1 },
+  hits: { emotional: [{ rule: "klaar mee", count: 1, weight: 1 }] },
+});
+
+test("keyword retention leaves out the latest period", () => {
+  const rows = [row("2025-08", true), row("2025-08", false), row("2025-09", true), row("2025-10", false), row("2025-10", false)];
+  const [stats] = keywordAnalytics(rows, {
+    keywords: { nl: { emotional: ["klaar mee"] } },
+    personaKeys: ["emotional"],
+    periods: ["2025-08", "2025-09", "2025-10"],
+    latestPeriod: "2025-10",
+    mode: "priority",
+    minScore: 1,
+  });
+  assert.equal(stats.entries, 5);
+  assert.equal(stats.retention, 2 / 3);
+});
@@ -0,0 +1,44 @@
+// --- Offline language detection for feedback entries (Dutch, English, German, French).
+// Counts common function words per language; an entry needs at least MIN_HITS of them and a
+// clear winner, otherwise it is "und" (undetermined) and every keyword pack applies.
+
+export const LANGUAGES = [
+  { key: "nl", label: "Dutch" },
+  { key: "en", label: "English" },
+  { key: "de", label: "German" },
+  { key: "fr", label: "French" },
+];
+
+export const UNDETERMINED = "und";
+
+export const languageLabel = (key) =>
+  key === UNDETERMINED ? "Undetected" : LANGUAGES.find((l) => l.key === key)?.label || key;
+
+const MIN_HITS = 2;
+
+// Words shared between these languages ("de", "en", "is", "was", "die", "wie", "du") are left out
+const STOPWORDS = {
+  nl: "het een niet ik je dat van op te met voor maar ook nog wel mijn er dit zijn bij naar heb hebben kan geen weer als wat hoe waarom jullie steeds altijd omdat zo al nu wordt werkt zou",
+  en: "the and not you it that to of with for but my this are have has can no again when what how why your always because don't doesn't very still just it's i'm would",
+  de: "der das und ist nicht ich es mit für aber mein dies sind habe kann kein keine wieder wenn warum immer weil sehr noch auch schon auf zu ein eine ihr nur funktioniert",
+  fr: "le la les et est pas je vous il que avec pour mais mon ce sont ai peut plus encore quand quoi comment pourquoi toujours parce très une un des ne j'ai c'est fonctionne",
+};
+
+const WORD = /[\p{L}'’]+/gu;
+
+const LOOKUP = new Map();
+for (const [lang, words] of Object.entries(STOPWORDS)) {
+  for (const w of words.split(" ")) LOOKUP.set(w, [...(LOOKUP.get(w) || []), lang]);
+}
+
+export function detectLanguage(text) {
+  const words = (text || "").toString().toLowerCase().replaceAll("’", "'").match(WORD) || [];
+  const hits = {};
+  for (const w of words) {
+    for (const lang of LOOKUP.get(w) || []) hits[lang] = (hits[lang] || 0) + 1;
+  }
+  const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  if (!ranked.length || ranked[0][1] < MIN_HITS) return UNDETERMINED;
+  if (ranked[1] && ranked[1][1] === ranked[0][1]) return UNDETERMINED;
+  return ranked[0][0];
+}
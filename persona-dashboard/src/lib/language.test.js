@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectLanguage, UNDETERMINED } from "./language.js";
+
+test("entries are detected by their function words", () => {
+  assert.equal(detectLanguage("Ik snap niet waarom de app het steeds doet"), "nl");
+  assert.equal(detectLanguage("The app doesn't work and I can't rely on it"), "en");
+  assert.equal(detectLanguage("Die App funktioniert nicht und ist sehr langsam"), "de");
+  assert.equal(detectLanguage("L'application ne fonctionne pas, c'est très lent"), "fr");
+});
+
+test("too few hits or a tie leaves the entry undetermined", () => {
+  assert.equal(detectLanguage("crash"), UNDETERMINED);
+  assert.equal(detectLanguage("niet"), UNDETERMINED);
+  assert.equal(detectLanguage("niet het the and"), UNDETERMINED);
+  assert.equal(detectLanguage(""), UNDETERMINED);
+});
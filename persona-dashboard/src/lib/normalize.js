@@ -0,0 +1,146 @@
+// --- Text normalization applied to feedback text and keyword rules before matching.
+// Text steps rewrite the text (diacritics, cleanup) and keep an offset map back to the original,
+// so highlights still land on the right characters. Word steps (stemming, fuzzy) don't rewrite
+// anything: plain and quoted rules additionally match word sequences whose stems or spellings
+// are close enough (see rules.js).
+
+export const NORMALIZATION_STEPS = [
+  { key: "diacritics", label: "Fold diacritics", description: "“één” matches “een”, “café” matches “cafe”" },
+  { key: "cleanup", label: "Clean up punctuation and spaces", description: "Punctuation counts as a space; runs of spaces count as one" },
+  { key: "stemming", label: "Dutch stemming", description: "“frustrerend” matches “frustreerd” (Dutch pack and undetected entries)" },
+  { key: "fuzzy", label: "Fuzzy matching", description: "Words of 5+ letters match with typos, e.g. “teleurgestelt”" },
+];
+
+export const MAX_EDIT_OPTIONS = [1, 2];
+
+// Every step off: plain lower-casing, the matching behaviour before normalization existed
+export const NO_NORMALIZATION = { diacritics: false, cleanup: false, stemming: false, fuzzy: false, maxEdits: 1 };
+
+// Steps are opt-in, so saved keyword sets keep matching exactly as they did until one is turned on
+export const DEFAULT_NORMALIZATION = NO_NORMALIZATION;
+
+const MARKS = /\p{M}/gu;
+const PUNCTUATION = /^[\p{P}\p{S}]$/u;
+const SPACE = /^\s$/u;
+const LETTER_OR_DIGIT = /[\p{L}\p{N}]/u;
+const INNER_JOINERS = new Set(["'", "’", "-"]);
+
+// text → { text, from, to }: the normalized text plus, per normalized UTF-16 unit, the
+// [from, to) range it came from in the original. from/to are null when nothing changed length.
+export function normalizeText(text, options = NO_NORMALIZATION) {
+  const raw = (text || "").toString();
+  if (!options.diacritics && !options.cleanup) {
+    const lower = raw.toLowerCase();
+    if (lower.length === raw.length) return { text: lower, from: null, to: null };
+  }
+
+  const chars = Array.from(raw);
+  let out = "";
+  const from = [];
+  const to = [];
+  let offset = 0;
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i];
+    let n = c.toLowerCase();
+    if (options.diacritics) n = n.normalize("NFD").replace(MARKS, "");
+    if (options.cleanup) {
+      // Apostrophes and hyphens inside words stay ("don't", "e-mail"); other punctuation is a space
+      const inner = INNER_JOINERS.has(n) && LETTER_OR_DIGIT.test(chars[i - 1] || "") && LETTER_OR_DIGIT.test(chars[i + 1] || "");
+      if (SPACE.test(n) || (PUNCTUATION.test(n) && !inner)) n = out.endsWith(" ") ? "" : " ";
+    }
+    // One entry per UTF-16 unit: match indices count units, so astral characters (emoji) take two
+    for (let k = 0; k < n.length; k++) {
+      from.push(offset);
+      to.push(offset + c.length);
+    }
+    out += n;
+    offset += c.length;
+  }
+  return { text: out, from, to };
+}
+
+// Keyword terms go through the same steps (without offsets), trimmed
+export const normalizeTerm = (term, options = NO_NORMALIZATION) => normalizeText(term, options).text.trim();
+
+// --- Dutch stemming: a light suffix stripper, enough to bring inflections and spelling variants
+// of one word together ("frustrerend"/"frustreerd" → "frustrer"). Stems aren't real words.
+const DUTCH_SUFFIXES = [
+  ["heden", "heid"],
+  ["ingen", ""],
+  ["ende", ""],
+  ["end", ""],
+  ["ing", ""],
+  ["ene", ""],
+  ["en", ""],
+  ["se", ""],
+  ["s", ""],
+  ["e", ""],
+  ["d", ""],
+  ["t", ""],
+];
+const MIN_STEM = 3;
+
+export function stemDutch(word) {
+  if (word.length <= MIN_STEM || !/^\p{L}+$/u.test(word)) return word;
+  let w = word;
+  for (const [suffix, replacement] of DUTCH_SUFFIXES) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= MIN_STEM) {
+      w = w.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+  return w
+    .replace(/([^aeiou])\1$/, "$1") // undouble: "zett" → "zet"
+    .replace(/([^aeiou])(aa|ee|oo|uu)([^aeiou])$/, (_, a, v, b) => a + v[0] + b) // "frustreer" → "frustrer"
+    .replace(/v$/, "f")
+    .replace(/z$/, "s");
+}
+
+// --- Fuzzy matching: edit distance with adjacent swaps, capped by word length so short words
+// ("app", "niet") only ever match exactly
+export const FUZZY_MIN_LENGTH = 5;
+
+export const allowedEdits = (length, maxEdits) => (length < FUZZY_MIN_LENGTH ? 0 : Math.min(maxEdits, Math.floor((length - 1) / 4)));
+
+// Optimal string alignment distance; returns max + 1 as soon as it's clear the distance exceeds max
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      cur.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// --- Persistence (localStorage)
+const NORMALIZATION_STORAGE_KEY = "persona-dashboard:normalization";
+
+export function loadNormalization() {
+  try {
+    const raw = localStorage.getItem(NORMALIZATION_STORAGE_KEY);
+    return raw ? { ...DEFAULT_NORMALIZATION, ...JSON.parse(raw) } : DEFAULT_NORMALIZATION;
+  } catch {
+    return DEFAULT_NORMALIZATION;
+  }
+}
+
+export function storeNormalization(options) {
+  try {
+    localStorage.setItem(NORMALIZATION_STORAGE_KEY, JSON.stringify(options));
+  } catch {
+    // storage full or disabled: the settings just won't survive a refresh
+  }
+  return options;
+}
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { allowedEdits, editDistance, normalizeText, NO_NORMALIZATION, stemDutch } from "./normalize.js";
+import { compileRule, matchContext } from "./rules.js";
+
+const ALL = { diacritics: true, cleanup: true, stemming: true, fuzzy: true, maxEdits: 1 };
+const hits = (rule, text, options) => compileRule(rule, options).find(matchContext(text, options)).length;
+
+test("text steps fold diacritics and collapse punctuation, keeping inner joiners", () => {
+  const options = { ...NO_NORMALIZATION, diacritics: true, cleanup: true };
+  assert.equal(normalizeText("Één café!!  ok", options).text, "een cafe ok");
+  assert.equal(normalizeText("Don't e-mail - nu", options).text, "don't e-mail nu");
+  assert.deepEqual(normalizeText("Zo", NO_NORMALIZATION), { text: "zo", from: null, to: null });
+});
+
+test("Dutch stems bring inflections together", () => {
+  assert.equal(stemDutch("frustrerend"), stemDutch("frustreerd"));
+  assert.equal(stemDutch("zetten"), "zet");
+  assert.equal(stemDutch("app"), "app");
+});
+
+test("edit distance counts swaps as one edit and short words never go fuzzy", () => {
+  assert.equal(editDistance("teleurgesteld", "teleurgestelt", 1), 1);
+  assert.equal(editDistance("abcdef", "abdcef", 1), 1);
+  assert.equal(editDistance("abcdef", "ghijkl", 1), 2);
+  assert.equal(allowedEdits(4, 2), 0);
+  assert.equal(allowedEdits(13, 2), 2);
+});
+
+test("steps only add matches when turned on", () => {
+  assert.equal(hits("frustrerend", "Echt frustreerd", NO_NORMALIZATION), 0);
+  assert.equal(hits("frustrerend", "Echt frustreerd", { ...NO_NORMALIZATION, stemming: true }), 1);
+  assert.equal(hits("teleurgesteld", "Erg teleurgestelt", NO_NORMALIZATION), 0);
+  assert.equal(hits("teleurgesteld", "Erg teleurgestelt", ALL), 1);
+  assert.equal(hits("één keer", "een keer", ALL), 1);
+  assert.equal(hits("app", "apps", { ...ALL, stemming: false }), 1);
+  assert.equal(hits('"app"', "apk", ALL), 0);
+});
@@ -0,0 +1,46 @@
+// --- Manual persona overrides (human labels) per user-period, kept in localStorage apart from
+// the uploaded data. Keys include the granularity: a label for user u1 in 2025-09 doesn't
+// carry over to weeks or quarters. An override replaces the keyword prediction in every
+// aggregate, and all overrides together form the gold set for the accuracy metrics.
+
+const OVERRIDES_STORAGE_KEY = "persona-dashboard:persona-overrides";
+
+// Override value for "this entry has no persona"
+export const NO_PERSONA = "__none__";
+
+export const overrideKey = (granularity, userId, period) => `${granularity}:${userId}__${period}`;
+
+export function loadOverrides() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(OVERRIDES_STORAGE_KEY) || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function storeOverrides(overrides) {
+  try {
+    localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(overrides));
+  } catch {
+    // storage full or disabled: overrides just won't survive a refresh
+  }
+  return overrides;
+}
+
+// persona: a persona key, NO_PERSONA, or null to drop the override
+export function setOverride(overrides, key, persona) {
+  const { [key]: _previous, ...rest } = overrides;
+  return storeOverrides(persona === null ? rest : { ...rest, [key]: persona });
+}
+
+export const clearOverrides = () => storeOverrides({});
+
+// Persona key (or null) an override stands for; undefined when the row has none or the
+// override names a persona that has since been deleted
+export function overrideFor(overrides, granularity, row, personaKeys) {
+  const v = overrides[overrideKey(granularity, row.user_id, row.period)];
+  if (v === undefined) return undefined;
+  if (v === NO_PERSONA) return null;
+  return personaKeys.includes(v) ? v : undefined;
+}
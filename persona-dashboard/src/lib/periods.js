@@ -0,0 +1,59 @@
+// --- Reporting periods: ISO week, calendar month or quarter.
+// Period keys sort chronologically as plain strings: 2025-W07, 2025-02, 2025-Q1.
+
+export const GRANULARITIES = [
+  { key: "week", label: "Weekly", noun: "week", column: "Week", delta: "WoW Δ" },
+  { key: "month", label: "Monthly", noun: "month", column: "Month", delta: "MoM Δ" },
+  { key: "quarter", label: "Quarterly", noun: "quarter", column: "Quarter", delta: "QoQ Δ" },
+];
+
+export const DEFAULT_GRANULARITY = "month";
+
+export const granularityMeta = (key) =>
+  GRANULARITIES.find((g) => g.key === key) || GRANULARITIES.find((g) => g.key === DEFAULT_GRANULARITY);
+
+const pad = (n, len = 2) => String(n).padStart(len, "0");
+
+// ISO 8601 week: weeks start on Monday, week 1 holds the year's first Thursday
+function isoWeek(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7)); // Thursday of the same week
+  const weekYear = d.getUTCFullYear();
+  const week = Math.ceil(((d - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+  return { year: weekYear, week };
+}
+
+// parts: { year, month, day } as returned by the date parser (day null for month-only values)
+export function periodFromParts(parts, granularity) {
+  if (!parts) return "";
+  const { year, month, day } = parts;
+  if (granularity === "quarter") return `${year}-Q${Math.ceil(month / 3)}`;
+  if (granularity === "week") {
+    if (day === null) return ""; // a bare month can't be placed in a week
+    const w = isoWeek(year, month, day);
+    return `${w.year}-W${pad(w.week)}`;
+  }
+  return `${year}-${pad(month)}`;
+}
+
+export function nextPeriod(period, granularity = DEFAULT_GRANULARITY) {
+  const t = period || "";
+  if (granularity === "week") {
+    const m = t.match(/^(\d{4})-W(\d{2})$/);
+    if (!m) return "";
+    // Monday of week 1 is the Monday on or before January 4th
+    const jan4 = new Date(Date.UTC(+m[1], 0, 4));
+    const monday = new Date(jan4);
+    monday.setUTCDate(jan4.getUTCDate() - ((jan4.getUTCDay() || 7) - 1) + (+m[2] - 1) * 7 + 7);
+    const w = isoWeek(monday.getUTCFullYear(), monday.getUTCMonth() + 1, monday.getUTCDate());
+    return `${w.year}-W${pad(w.week)}`;
+  }
+  if (granularity === "quarter") {
+    const m = t.match(/^(\d{4})-Q([1-4])$/);
+    if (!m) return "";
+    return +m[2] === 4 ? `${+m[1] + 1}-Q1` : `${m[1]}-Q${+m[2] + 1}`;
+  }
+  const [y, mo] = t.split("-").map((x) => parseInt(x, 10));
+  if (!y || !mo) return "";
+  return mo === 12 ? `${y + 1}-01` : `${y}-${pad(mo + 1)}`;
+}
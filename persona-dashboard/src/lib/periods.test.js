@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nextPeriod, periodFromParts } from "./periods.js";
+
+const day = (year, month, d) => ({ year, month, day: d });
+
+test("dates bucket into ISO weeks, months and quarters", () => {
+  assert.equal(periodFromParts(day(2025, 9, 30), "month"), "2025-09");
+  assert.equal(periodFromParts(day(2025, 9, 30), "quarter"), "2025-Q3");
+  assert.equal(periodFromParts(day(2025, 10, 1), "quarter"), "2025-Q4");
+  assert.equal(periodFromParts(day(2025, 2, 10), "week"), "2025-W07");
+  // ISO week-years differ from calendar years around January 1st
+  assert.equal(periodFromParts(day(2024, 12, 30), "week"), "2025-W01");
+  assert.equal(periodFromParts(day(2021, 1, 3), "week"), "2020-W53");
+});
+
+test("month-only values can't be placed in a week", () => {
+  assert.equal(periodFromParts(day(2025, 9, null), "week"), "");
+  assert.equal(periodFromParts(day(2025, 9, null), "month"), "2025-09");
+  assert.equal(periodFromParts(null, "month"), "");
+});
+
+test("next period rolls over years, including 53-week years", () => {
+  assert.equal(nextPeriod("2025-09"), "2025-10");
+  assert.equal(nextPeriod("2025-12", "month"), "2026-01");
+  assert.equal(nextPeriod("2025-Q4", "quarter"), "2026-Q1");
+  assert.equal(nextPeriod("2025-W07", "week"), "2025-W08");
+  assert.equal(nextPeriod("2025-W52", "week"), "2026-W01");
+  assert.equal(nextPeriod("2020-W52", "week"), "2020-W53");
+  assert.equal(nextPeriod("2020-W53", "week"), "2021-W01");
+});
+
+test("period keys that don't fit the granularity have no next period", () => {
+  assert.equal(nextPeriod("2025-09", "week"), "");
+  assert.equal(nextPeriod("2025-W07", "quarter"), "");
+  assert.equal(nextPeriod(""), "");
+});
@@ -0,0 +1,443 @@
+// --- Personas and their keyword packs: defaults and helpers for the persona editor.
+import { LANGUAGES } from "./language.js";
+
+// Persona model. The list order is the priority order (first wins in dominant mode);
+// icons are lucide icon names (see components/personaIcons.js). Spotlight personas get their
+// own KPI card.
+export const DEFAULT_PERSONAS = [
+  {
+    key: "trust_erosion",
+    label: "Trust erosion",
+    icon: "ShieldAlert",
+    color: "#ef4444", // red-500
+    description: "Credibility damage: predicts retention loss.",
+    spotlight: true,
+  },
+  {
+    key: "emotional",
+    label: "Breaking point",
+    icon: "Flame",
+    color: "#f97316", // orange-500
+    description: "Late-stage frustration: often right before disengagement.",
+  },
+  {
+    key: "escalation",
+    label: "Escalation & fatigue",
+    icon: "Repeat",
+    color: "#eab308", // yellow-500
+    description: "Repeated reporting / fatigue: power-complainer risk.",
+  },
+  {
+    key: "reliability",
+    label: "Reliability & predictability",
+    icon: "Radar",
+    color: "#3b82f6", // blue-500
+    description: "Inconsistent behavior / outages: credibility erosion channel.",
+  },
+  {
+    key: "overload",
+    label: "Cognitive overload",
+    icon: "Brain",
+    color: "#8b5cf6", // violet-500
+    description: "System logic confusion: fixable but dangerous if ignored.",
+  },
+  {
+    key: "veteran",
+    label: "Veteran & habit",
+    icon: "Clock",
+    color: "#10b981", // emerald-500
+    description: "High-LTV users signalling dependency / routine.",
+    spotlight: true,
+  },
+  {
+    key: "suggestion",
+    label: "Suggestion-stage",
+    icon: "Lightbulb",
+    color: "#06b6d4", // cyan-500
+    description: "Constructive drift: early warning when repeated.",
+  },
+];
+
+export const FALLBACK_COLOR = "#64748b"; // slate-500
+
+// Colors offered to new personas, in order, skipping ones already in use
+const NEW_PERSONA_COLORS = ["#ec4899", "#14b8a6", "#84cc16", "#f59e0b", "#6366f1", "#a855f7", "#0ea5e9", "#f43f5e"];
+
+export const personaByKey = (personas, key) => personas.find((p) => p.key === key);
+export const personaLabel = (personas, key) => personaByKey(personas, key)?.label || key;
+export const personaColor = (personas, key) => personaByKey(personas, key)?.color || FALLBACK_COLOR;
+
+// Reporting segments next to the personas: user-periods without a persona, and everyone (the
+// baseline). Their keys start with underscores, which persona keys never do (see newPersonaKey).
+export const UNCLASSIFIED = {
+  key: "__unclassified__",
+  label: "Unclassified",
+  icon: "HelpCircle",
+  color: "#94a3b8", // slate-400
+  description: "No persona assigned: no keyword rule matched.",
+};
+export const ALL_USERS = {
+  key: "__all__",
+  label: "All users",
+  icon: "Users",
+  color: "#0f172a", // slate-900
+  description: "Baseline: every user-period, classified or not.",
+};
+
+// Personas in priority order, then Unclassified, then the All users baseline
+export const reportSegments = (personas) => [...personas, UNCLASSIFIED, ALL_USERS];
+
+// Names and keys personas can't take: the built-in segments', and the chart rows' period column.
+// Keys starting with "__" belong to segments and other built-in states.
+const RESERVED_LABELS = new Set([UNCLASSIFIED.label, ALL_USERS.label].map((l) => l.toLowerCase()));
+const RESERVED_KEYS = new Set(["period"]);
+const isReservedKey = (key) => key.startsWith("__") || RESERVED_KEYS.has(key);
+// Keys end up in chart dataKeys and ids, where dots and the like break lookups
+const KEY_SHAPE = /^[a-z0-9_]+$/;
+
+// Stable key for a new persona: slug of the label, suffixed when taken. Renames keep the key,
+// so keyword lists stay attached.
+export function newPersonaKey(label, personas) {
+  const base =
+    (label || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "persona";
+  const taken = new Set([...personas.map((p) => p.key), ...RESERVED_KEYS]);
+  let key = base;
+  for (let i = 2; taken.has(key); i++) key = `${base}_${i}`;
+  return key;
+}
+
+export function newPersona(label, personas) {
+  const used = new Set(personas.map((p) => p.color.toLowerCase()));
+  return {
+    key: newPersonaKey(label, personas),
+    label,
+    icon: "Tag",
+    color: NEW_PERSONA_COLORS.find((c) => !used.has(c)) || FALLBACK_COLOR,
+    description: "",
+  };
+}
+
+// Editor and import problems for a persona list: { key: message }; empty when it can be applied.
+// Keys only go wrong in imported files: the editor makes them with newPersonaKey.
+export function validatePersonas(personas) {
+  const errors = {};
+  const seen = new Map();
+  const keys = new Set();
+  for (const p of personas) {
+    const label = p.label.trim();
+    if (isReservedKey(p.key)) errors[p.key] = `Key “${p.key}” is reserved`;
+    else if (!KEY_SHAPE.test(p.key)) errors[p.key] = `Key “${p.key}” may only contain a–z, 0–9 and _`;
+    else if (keys.has(p.key)) errors[p.key] = `Duplicate key “${p.key}”`;
+    else if (!label) errors[p.key] = "Name is required";
+    else if (RESERVED_LABELS.has(label.toLowerCase())) errors[p.key] = `“${label}” is a built-in segment name`;
+    else if (seen.has(label.toLowerCase())) errors[p.key] = `Duplicate name “${label}”`;
+    seen.set(label.toLowerCase(), p.key);
+    keys.add(p.key);
+  }
+  if (!personas.length) errors._ = "Keep at least one persona";
+  return errors;
+}
+
+// Keyword lists follow the persona set in every language pack: new personas start empty,
+// deleted ones are dropped
+export function syncKeywords(keywords, personas) {
+  const out = {};
+  for (const lang of LANGUAGES) {
+    out[lang.key] = {};
+    for (const p of personas) out[lang.key][p.key] = keywords[lang.key]?.[p.key] || [];
+  }
+  return out;
+}
+
+// --- Keyword packs: one dictionary per language ({ nl: { persona: [rule, …] }, en: …, … }).
+// Each entry is matched against the pack of its detected language; undetected entries use all
+// packs (see lib/language.js). Editable inline per language.
+export const DEFAULT_KEYWORDS = {
+  nl: {
+    trust_erosion: [
+      "vertrouwen",
+      '"betrouwbaar"',
+      "onbetrouwbaar !niet",
+      "ik reken hierop",
+      "ik durf niet",
+      "kan hier niet op vertrouwen",
+      "onzeker",
+      "voelt niet veilig",
+      "niet veilig",
+    ],
+    veteran: [
+      "al jaren",
+      "dagelijks",
+      "elke rit",
+      "altijd gebruikt",
+      "sinds het begin",
+      "onderdeel van mijn routine",
+      "ik ben afhankelijk",
+      "afhankelijk",
+      "routine",
+    ],
+    reliability: [
+      "onvoorspelbaar",
+      "inconsistent",
+      "werkt soms",
+      "soms wel",
+      "soms niet",
+      "wisselend",
+      "niet consequent",
+      "foutmeldingen",
+      "valt uit",
+      "crash",
+      "loopt vast",
+    ],
+    escalation: [
+      '"weer"',
+      "opnieuw",
+      "al vaker gemeld",
+      "niet de eerste keer",
+      "al meerdere keren",
+      "nog steeds",
+      "al eens",
+      "al gemeld",
+    ],
+    overload: [
+      "ik snap niet waarom",
+      "onduidelijk",
+      "logica ontbreekt",
+      "waarom doet hij dit",
+      "niet uit te leggen",
+      "tegenstrijdig",
+      "klopt niet",
+    ],
+    emotional: [
+      "frustrerend",
+      "klaar mee",
+      "irritant",
+      "teleurgesteld",
+      "dit werkt zo niet",
+      "zo wordt het lastig",
+      "word ik gek van",
+    ],
+    suggestion: [
+      "zou handig zijn",
+      "misschien kunnen jullie",
+      "ik mis",
+      "ik vraag me af waarom",
+      "zou fijn zijn",
+      "kunnen jullie",
+      "idee:",
+    ],
+  },
+  en: {
+    trust_erosion: [
+      "trust",
+      '"reliable"',
+      "unreliable !not",
+      "i count on",
+      "i rely on",
+      "can't rely on",
+      "don't feel safe",
+      "not safe",
+      "insecure",
+    ],
+    veteran: [
+      "for years",
+      "every day",
+      "daily",
+      "every ride",
+      "always used",
+      "since the beginning",
+      "part of my routine",
+      "i depend on",
+      "routine",
+    ],
+    reliability: [
+      "unpredictable",
+      "inconsistent",
+      "works sometimes",
+      "sometimes it works",
+      "error message*",
+      "keeps failing",
+      "crash*",
+      "freezes",
+      "stuck",
+    ],
+    escalation: [
+      '"again"',
+      "already reported",
+      "not the first time",
+      "multiple times",
+      "still not fixed",
+      "still broken",
+      "reported before",
+    ],
+    overload: [
+      "i don't understand why",
+      "unclear",
+      "confusing",
+      "makes no sense",
+      "doesn't add up",
+      "contradict*",
+    ],
+    emotional: [
+      "frustrat*",
+      "fed up",
+      "annoying",
+      "disappointed",
+      "sick of",
+      "drives me crazy",
+      "this is not working",
+    ],
+    suggestion: [
+      "would be nice",
+      "would be great",
+      "could you",
+      "maybe you could",
+      "i miss",
+      "i wonder why",
+      "idea:",
+      "feature request",
+    ],
+  },
+  de: {
+    trust_erosion: [
+      "vertrauen",
+      '"zuverlässig"',
+      "unzuverlässig !nicht",
+      "ich verlasse mich",
+      "kann mich nicht verlassen",
+      "fühlt sich nicht sicher an",
+      "nicht sicher",
+      "unsicher",
+    ],
+    veteran: [
+      "seit jahren",
+      "täglich",
+      "jeden tag",
+      "jede fahrt",
+      "von anfang an",
+      "teil meiner routine",
+      "ich bin angewiesen",
+      "angewiesen",
+      "routine",
+    ],
+    reliability: [
+      "unberechenbar",
+      "inkonsistent",
+      "funktioniert manchmal",
+      "manchmal nicht",
+      "fehlermeldung*",
+      "fällt aus",
+      "absturz",
+      "stürzt ab",
+      "hängt sich auf",
+    ],
+    escalation: [
+      '"wieder"',
+      "erneut",
+      "schon gemeldet",
+      "nicht das erste mal",
+      "mehrmals",
+      "immer noch",
+      "schon öfter",
+    ],
+    overload: [
+      "verstehe nicht warum",
+      "unklar",
+      "verwirrend",
+      "unlogisch",
+      "widersprüchlich",
+      "stimmt nicht",
+    ],
+    emotional: [
+      "frustrierend",
+      "nervig",
+      "enttäuscht",
+      "reicht mir",
+      "ich habe die nase voll",
+      "macht mich wahnsinnig",
+    ],
+    suggestion: [
+      "wäre praktisch",
+      "wäre schön",
+      "könntet ihr",
+      "vielleicht könntet ihr",
+      "ich vermisse",
+      "idee:",
+    ],
+  },
+  fr: {
+    trust_erosion: [
+      "confiance",
+      "fiable",
+      "pas fiable",
+      "je compte sur",
+      "je ne peux pas compter",
+      "pas en sécurité",
+      "pas sûr",
+    ],
+    veteran: [
+      "depuis des années",
+      "tous les jours",
+      "quotidien*",
+      "chaque trajet",
+      "depuis le début",
+      "fait partie de ma routine",
+      "je dépends",
+      "routine",
+    ],
+    reliability: [
+      "imprévisible",
+      "incohérent",
+      "marche parfois",
+      "fonctionne parfois",
+      "message d'erreur",
+      "plante",
+      "bloqué",
+      "ne répond plus",
+    ],
+    escalation: [
+      '"encore"',
+      "de nouveau",
+      "déjà signalé",
+      "pas la première fois",
+      "plusieurs fois",
+      "toujours pas",
+    ],
+    overload: [
+      "je ne comprends pas pourquoi",
+      "pas clair",
+      "déroutant",
+      "incompréhensible",
+      "contradictoire",
+      "ça n'a pas de sens",
+    ],
+    emotional: [
+      "frustrant",
+      "j'en ai marre",
+      "agaçant",
+      "déçu*",
+      "ras le bol",
+      "ça me rend fou",
+    ],
+    suggestion: [
+      "ce serait pratique",
+      "ce serait bien",
+      "pourriez-vous",
+      "vous pourriez",
+      "il me manque",
+      "idée:",
+    ],
+  },
+};
+
+// Older configs stored one Dutch dictionary ({ persona: [rule, …] }); read those as the nl pack
+export function normalizeKeywordPacks(keywords) {
+  const values = Object.values(keywords || {});
+  if (values.some(Array.isArray)) return { nl: keywords };
+  return keywords || {};
+}
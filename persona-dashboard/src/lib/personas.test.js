@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PERSONAS, newPersonaKey, validatePersonas } from "./personas.js";
+
+test("built-in segment names are rejected as persona names", () => {
+  const personas = [...DEFAULT_PERSONAS, { key: "x", label: "All users" }, { key: "y", label: " unclassified " }];
+  const errors = validatePersonas(personas);
+  assert.match(errors.x, /built-in/);
+  assert.match(errors.y, /built-in/);
+  assert.deepEqual(validatePersonas(DEFAULT_PERSONAS), {});
+});
+
+test("new persona keys avoid the chart's period column", () => {
+  assert.equal(newPersonaKey("Period", DEFAULT_PERSONAS), "period_2");
+});
@@ -0,0 +1,190 @@
+// --- Normalization & classification (pure; runs inside the pipeline worker).
+import { applyMapping } from "./columnMapping.js";
+import { createDateParser, DEFAULT_TIME_ZONE } from "./dates.js";
+import { DEFAULT_GRANULARITY, granularityMeta, nextPeriod, periodFromParts } from "./periods.js";
+import { compileKeywordPacks, matchContext, rulesForLanguage } from "./rules.js";
+import { detectLanguage } from "./language.js";
+import { NO_NORMALIZATION, NORMALIZATION_STEPS } from "./normalize.js";
+
+export const norm = (s) => (s || "").toString().toLowerCase();
+
+// Mapped raw rows → one record per user-period (texts concatenated).
+// Rows without a user id or a date that fits the granularity come back in `rejected` (by row index);
+// dates that could be read two ways are rejected as "ambiguous_date" instead of guessed.
+export function toUserPeriodRows(rawRows, mapping, granularity = DEFAULT_GRANULARITY, timeZone = DEFAULT_TIME_ZONE) {
+  const rejected = [];
+  const rows = [];
+  const mapped = applyMapping(rawRows, mapping);
+  const dates = createDateParser(
+    mapping.date_format || "auto",
+    mapped.map((r) => r.date),
+    timeZone,
+    mapping.source_time_zone || DEFAULT_TIME_ZONE
+  );
+  mapped.forEach((r, index) => {
+    if (!r.user_id) {
+      rejected.push({ index, reason: "missing_id", detail: "No user id" });
+      return;
+    }
+    const { parts, issue } = dates.parse(r.date);
+    if (issue) {
+      rejected.push({ index, ...issue });
+      return;
+    }
+    const period = periodFromParts(parts, granularity);
+    if (!period) {
+      rejected.push({
+        index,
+        reason: "bad_date",
+        detail: `Month-only date “${r.date}” can't be placed in a ${granularityMeta(granularity).noun}`,
+      });
+      return;
+    }
+    rows.push({ user_id: r.user_id, period, text: r.text, active_next_month: r.active_next_month });
+  });
+
+  // Aggregate per user-period (concat texts)
+  const map = new Map();
+  for (const r of rows) {
+    const key = `${r.user_id}__${r.period}`;
+    if (!map.has(key)) map.set(key, { user_id: r.user_id, period: r.period, text: "", active_next_month: r.active_next_month });
+    const cur = map.get(key);
+    cur.text = (cur.text ? cur.text + "\n" : "") + r.text;
+    // prefer explicit active_next_month if present
+    if (r.active_next_month !== "") cur.active_next_month = r.active_next_month;
+  }
+
+  const userPeriods = Array.from(map.values()).sort((a, b) => (a.period === b.period ? a.user_id.localeCompare(b.user_id) : a.period.localeCompare(b.period)));
+  return { userPeriods, rejected, accepted: rows.length, dateFormat: dates.detected };
+}
+
+// rules: compiled keyword rules per persona (see rules.js compileKeywords)
+// personaKeys: persona keys in priority order (first = highest priority)
+// scores: Σ matches × weight per matched persona; hits: the rules behind each score
+// normalization: the options the rules were compiled with (see normalize.js)
+export function classifyDominantPersona(text, rules, personaKeys, normalization = NO_NORMALIZATION) {
+  const ctx = matchContext(text, normalization);
+  const flags = {};
+  const scores = {};
+  const hits = {};
+  for (const key of personaKeys) {
+    for (const rule of rules[key] || []) {
+      const count = rule.find(ctx).length;
+      if (!count) continue;
+      scores[key] = (scores[key] || 0) + count * rule.weight;
+      (hits[key] ||= []).push({ rule: rule.source, count, weight: rule.weight });
+    }
+    flags[key] = !!hits[key];
+  }
+
+  // Dominant by priority; null if nothing matched.
+  const persona = personaKeys.find((key) => flags[key]) || null;
+  return { persona, flags, scores, hits };
+}
+
+// Weighted mode: highest score at or above minScore; priority order only breaks ties.
+export function pickWeightedPersona(scores, personaKeys, minScore = 1) {
+  let best = null;
+  for (const key of personaKeys) {
+    const s = scores?.[key] || 0;
+    if (s > 0 && s >= minScore && (best === null || s > scores[best])) best = key;
+  }
+  return best;
+}
+
+// Build presence index to derive next-period activity if active_next_month not provided
+export function buildPresence(userPeriodRows) {
+  const set = new Set();
+  for (const r of userPeriodRows) set.add(`${r.user_id}__${r.period}`);
+  return set;
+}
+
+// Presence from a separate activity log (user id + date or month per row)
+export function buildActivityPresence(rawRows, mapping, granularity = DEFAULT_GRANULARITY, timeZone = DEFAULT_TIME_ZONE) {
+  const presence = new Set();
+  const users = new Set();
+  let dropped = 0;
+  const mapped = applyMapping(rawRows, { ...mapping, text: [] });
+  const dates = createDateParser(
+    mapping.date_format || "auto",
+    mapped.map((r) => r.date),
+    timeZone,
+    mapping.source_time_zone || DEFAULT_TIME_ZONE
+  );
+  for (const r of mapped) {
+    const { parts } = dates.parse(r.date);
+    const period = periodFromParts(parts, granularity);
+    if (!r.user_id || !period) {
+      dropped++;
+      continue;
+    }
+    presence.add(`${r.user_id}__${period}`);
+    users.add(r.user_id);
+  }
+  return { presence, users, dropped };
+}
+
+// explicitRetention: honour an active_next_month column (off when an activity log is the source of
+// truth, and for weeks/quarters since the column speaks about months)
+// packs: compiled keyword packs (compileKeywordPacks); the entry's detected language picks the pack.
+// normalization: the options the packs were compiled with.
+// predict: optional trained classifier (text → persona key | null); its answer is kept next to
+// the keyword result as model_persona.
+export function classifyRow(
+  r,
+  { presence, packs, personaKeys, normalization = NO_NORMALIZATION, granularity = DEFAULT_GRANULARITY, explicitRetention = true, predict = null }
+) {
+  const language = detectLanguage(r.text);
+  const { persona, flags, scores, hits } = classifyDominantPersona(r.text, rulesForLanguage(packs, language), personaKeys, normalization);
+
+  // Determine active next period
+  let activeNext = null;
+  if (explicitRetention && granularity === "month" && r.active_next_month !== "") {
+    activeNext = ["1", "true", "yes", "y"].includes(norm(r.active_next_month));
+  } else {
+    activeNext = presence.has(`${r.user_id}__${nextPeriod(r.period, granularity)}`);
+  }
+
+  const { active_next_month: _explicit, ...rest } = r;
+  return {
+    ...rest,
+    language,
+    dominant_persona: persona,
+    flags,
+    scores,
+    hits,
+    ...(predict ? { model_persona: predict(r.text) } : {}),
+    active_next_period: activeNext,
+  };
+}
+
+// Extra rule matches per enabled normalization step, adding the steps one by one in
+// NORMALIZATION_STEPS order on top of plain lower-casing (shown in Data health).
+// rows: classified rows (text + language); large sets are sampled evenly down to `limit`.
+export function normalizationImpact(rows, keywords, personaKeys, normalization, limit = 20000) {
+  const stride = Math.max(1, Math.ceil(rows.length / limit));
+  const sample = stride === 1 ? rows : rows.filter((_, i) => i % stride === 0);
+
+  const countMatches = (options) => {
+    const packs = compileKeywordPacks(keywords, options);
+    let n = 0;
+    for (const r of sample) {
+      const { hits } = classifyDominantPersona(r.text, rulesForLanguage(packs, r.language), personaKeys, options);
+      for (const list of Object.values(hits)) for (const h of list) n += h.count;
+    }
+    return n;
+  };
+
+  let options = { ...NO_NORMALIZATION, maxEdits: normalization.maxEdits };
+  const base = countMatches(options);
+  let before = base;
+  const steps = [];
+  for (const step of NORMALIZATION_STEPS) {
+    if (!normalization[step.key]) continue;
+    options = { ...options, [step.key]: true };
+    const n = countMatches(options);
+    steps.push({ key: step.key, extra: n - before });
+    before = n;
+  }
+  return { entries: sample.length, sampled: stride > 1, base, total: before, steps };
+}
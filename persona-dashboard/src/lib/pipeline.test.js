@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildActivityPresence,
+  buildPresence,
+  classifyDominantPersona,
+  classifyRow,
+  pickWeightedPersona,
+  toUserPeriodRows,
+} from "./pipeline.js";
+import { DEFAULT_KEYWORDS, DEFAULT_PERSONAS } from "./personas.js";
+import { compileKeywordPacks, compileKeywords } from "./rules.js";
+
+const personaKeys = DEFAULT_PERSONAS.map((p) => p.key);
+const flagsOf = (text) => classifyDominantPersona(text, compileKeywords(DEFAULT_KEYWORDS.nl), personaKeys).flags;
+
+const MAPPING = { user_id: "id", date: "date", date_format: "auto", text: ["text"], active_next_month: "active" };
+
+test("default Dutch rules don't flag trust erosion for “niet onbetrouwbaar”", () => {
+  assert.equal(flagsOf("De app is echt niet onbetrouwbaar, ik ben tevreden").trust_erosion, false);
+  assert.equal(flagsOf("De app is onbetrouwbaar").trust_erosion, true);
+  assert.equal(flagsOf("Niet betrouwbaar meer").trust_erosion, true);
+});
+
+test("default Dutch rules match “weer” only as a whole word", () => {
+  assert.equal(flagsOf("Het weerbericht en de weergave kloppen").escalation, false);
+  assert.equal(flagsOf("Hij crasht weer").escalation, true);
+});
+
+test("rows are merged per user-period and bad rows come back by reason", () => {
+  const raw = [
+    { id: "u1", date: "2025-09-02", text: "eerste", active: "" },
+    { id: "u1", date: "2025-09-20", text: "tweede", active: "1" },
+    { id: "u2", date: "2025-10-01", text: "ander", active: "" },
+    { id: "", date: "2025-10-01", text: "zonder id", active: "" },
+    { id: "u3", date: "05/06/2025", text: "dubbelzinnig", active: "" },
+    { id: "u4", date: "gisteren", text: "onleesbaar", active: "" },
+  ];
+  const { userPeriods, rejected, accepted } = toUserPeriodRows(raw, MAPPING);
+  assert.equal(accepted, 3);
+  assert.deepEqual(userPeriods, [
+    { user_id: "u1", period: "2025-09", text: "eerste\ntweede", active_next_month: "1" },
+    { user_id: "u2", period: "2025-10", text: "ander", active_next_month: "" },
+  ]);
+  assert.deepEqual(
+    rejected.map((r) => [r.index, r.reason]),
+    [
+      [3, "missing_id"],
+      [4, "ambiguous_date"],
+      [5, "bad_date"],
+    ]
+  );
+});
+
+test("month-only dates are rejected for weekly reporting", () => {
+  const { rejected } = toUserPeriodRows([{ id: "u1", date: "2025-09", text: "x", active: "" }], MAPPING, "week");
+  assert.equal(rejected[0].reason, "bad_date");
+});
+
+test("retention comes from the explicit column for months, from presence otherwise", () => {
+  const rows = [
+    { user_id: "u1", period: "2025-09", text: "klaar mee", active_next_month: "0" },
+    { user_id: "u1", period: "2025-10", text: "", active_next_month: "" },
+    { user_id: "u2", period: "2025-09", text: "", active_next_month: "" },
+  ];
+  const options = { presence: buildPresence(rows), packs: compileKeywordPacks(DEFAULT_KEYWORDS), personaKeys };
+  const [explicit, , derived] = rows.map((r) => classifyRow(r, options));
+  assert.equal(explicit.active_next_period, false);
+  assert.equal(explicit.dominant_persona, "emotional");
+  assert.equal("active_next_month" in explicit, false);
+  assert.equal(derived.active_next_period, false);
+  assert.equal(classifyRow(rows[0], { ...options, explicitRetention: false }).active_next_period, true);
+});
+
+test("activity logs become a presence set; rows without id or date are dropped", () => {
+  const raw = [
+    { id: "u1", date: "2025-09-30T23:30:00Z" },
+    { id: "u1", date: "2025-10-02" },
+    { id: "", date: "2025-10-02" },
+    { id: "u2", date: "" },
+  ];
+  const { presence, users, dropped } = buildActivityPresence(raw, MAPPING, "month", "Europe/Amsterdam");
+  assert.deepEqual([...presence], ["u1__2025-10"]);
+  assert.deepEqual([...users], ["u1"]);
+  assert.equal(dropped, 2);
+});
+
+test("weighted mode picks the highest score at or above the minimum; priority breaks ties", () => {
+  const keys = ["a", "b", "c"];
+  assert.equal(pickWeightedPersona({ a: 1, b: 3 }, keys), "b");
+  assert.equal(pickWeightedPersona({ a: 2, b: 2 }, keys), "a");
+  assert.equal(pickWeightedPersona({ a: 1 }, keys, 2), null);
+  assert.equal(pickWeightedPersona({}, keys), null);
+});
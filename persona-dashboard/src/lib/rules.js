@@ -0,0 +1,279 @@
+// --- Keyword rule language. One rule per keyword-list entry (matching is case-insensitive):
+//   klaar mee           plain text, matches anywhere (also inside longer words)
+//   "weer"              whole word / phrase only (not "weerbericht")
+//   frustr*             word prefix: frustrerend, frustratie, …
+//   /niet (meer )?te/   regular expression
+//   onbetrouwbaar !niet       negation guard: skip matches preceded by "niet" within 3 words
+//   onbetrouwbaar !niet:5     … within 5 words (several guards allowed)
+//   app near crash      both terms within 5 words of each other; near/3 sets the distance
+//   klaar mee ^3        weight 3 in the weighted scoring mode (default 1)
+// Terms inside a near rule use the same syntax (plain, "quoted", prefix* or /regex/).
+// Rules and text go through the same normalization (normalize.js); with stemming or fuzzy
+// matching on, plain and "quoted" terms also match word sequences with the same stems or a
+// close spelling. Prefixes and regular expressions get no stem or fuzzy matches, but do run on
+// the normalized text: with cleanup on, write punctuation in a regex as a space.
+
+import { allowedEdits, editDistance, normalizeTerm, normalizeText, NO_NORMALIZATION, stemDutch } from "./normalize.js";
+
+export const DEFAULT_GUARD_WINDOW = 3;
+export const DEFAULT_NEAR_WINDOW = 5;
+
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+const GUARD_SUFFIX = /\s+!([\p{L}\p{N}'’-]+)(?::(\d+))?$/u;
+const WEIGHT_SUFFIX = /\s+\^(\d+(?:\.\d+)?)$/;
+const NEAR = /\s+near(?:\/(\d+))?\s+/i;
+// Regex literals at the start of a term, masked so "near" or "!" inside them isn't parsed
+const REGEX_LITERAL = /(^|\s)\/(?:\\.|[^/\\])+\/[a-z]*/g;
+
+export class RuleError extends Error {}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// term source → find(ctx) → [{ start, end }]
+function compileTerm(src, options) {
+  const t = src.trim();
+  if (!t) throw new RuleError("Empty term");
+
+  const re = t.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) {
+    let regex;
+    try {
+      const flags = Array.from(new Set(`${re[2]}gi`)).join("");
+      const pattern = options.diacritics ? re[1].normalize("NFD").replace(/\p{M}/gu, "") : re[1];
+      regex = new RegExp(pattern, flags);
+    } catch (e) {
+      throw new RuleError(`Invalid regular expression: ${e.message.replace(/^Invalid regular expression:\s*/, "")}`);
+    }
+    if (regex.test("")) throw new RuleError("Regular expression matches empty text");
+    regex.lastIndex = 0;
+    return (ctx) => spans(regex, ctx.text);
+  }
+
+  if (t.startsWith('"') || t.endsWith('"')) {
+    const phrase = t.match(/^"([^"]+)"$/);
+    if (!phrase) throw new RuleError("Unbalanced quotes");
+    const p = normalized(phrase[1], options);
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(p)}(?![\\p{L}\\p{N}])`, "giu");
+    return withWordMatches((ctx) => spans(regex, ctx.text), p, options);
+  }
+
+  if (t.includes("*")) {
+    if (t.indexOf("*") !== t.length - 1 || t.length === 1) throw new RuleError("Wildcard * only works at the end of a word");
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(normalized(t.slice(0, -1), options))}[\\p{L}\\p{N}]*`, "giu");
+    return (ctx) => spans(regex, ctx.text);
+  }
+
+  const p = normalized(t, options);
+  const regex = new RegExp(escapeRegExp(p), "gi");
+  return withWordMatches((ctx) => spans(regex, ctx.text), p, options);
+}
+
+function normalized(term, options) {
+  const n = normalizeTerm(term, options);
+  if (!n) throw new RuleError("Nothing left to match after normalization");
+  return n;
+}
+
+// Adds stem / fuzzy matches of the term's words to the literal ones (literal matches win on overlap)
+function withWordMatches(find, term, options) {
+  if (!options.stemming && !options.fuzzy) return find;
+  const terms = Array.from(term.matchAll(WORD), (m) => ({
+    word: m[0],
+    stem: stemDutch(m[0]),
+    edits: options.fuzzy ? allowedEdits(m[0].length, options.maxEdits) : 0,
+  }));
+  if (!terms.length) return find;
+
+  const close = (w, t) => {
+    if (w.word === t.word) return true;
+    if (options.stemming && (w.stem ??= stemDutch(w.word)) === t.stem) return true;
+    if (!t.edits) return false;
+    if (editDistance(w.word, t.word, t.edits) <= t.edits) return true;
+    return options.stemming && editDistance(w.stem, t.stem, t.edits) <= t.edits;
+  };
+
+  return (ctx) => {
+    const exact = find(ctx);
+    const words = wordIndex(ctx);
+    const extra = [];
+    for (let i = 0; i + terms.length <= words.length; i++) {
+      if (!terms.every((t, j) => close(words[i + j], t))) continue;
+      const span = { start: words[i].start, end: words[i + terms.length - 1].end };
+      if (!exact.some((x) => x.start < span.end && span.start < x.end)) extra.push(span);
+    }
+    return extra.length ? [...exact, ...extra].sort((a, b) => a.start - b.start) : exact;
+  };
+}
+
+function spans(regex, text) {
+  const out = [];
+  for (const m of text.matchAll(regex)) {
+    if (m[0]) out.push({ start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+// Word positions, built once per text and only when a rule needs them
+function wordIndex(ctx) {
+  if (!ctx.words) ctx.words = Array.from(ctx.text.matchAll(WORD), (m) => ({ start: m.index, end: m.index + m[0].length, word: m[0] }));
+  return ctx.words;
+}
+
+// Index of the first word ending after `offset`
+function wordAt(words, offset) {
+  let lo = 0;
+  let hi = words.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (words[mid].end <= offset) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// source → { source, weight, find(ctx) → [{ start, end }] }; throws RuleError for invalid rules.
+// A near match spans both terms.
+// ctx comes from matchContext with the same normalization options.
+export function compileRule(source, options = NO_NORMALIZATION) {
+  let s = (source || "").trim();
+  if (!s) throw new RuleError("Empty rule");
+
+  const masked = () => s.replace(REGEX_LITERAL, (m) => "x".repeat(m.length));
+  const guards = [];
+  let weight = 1;
+  let weighted = false;
+  // Guards and the weight are trailing suffixes, in any order
+  for (;;) {
+    const w = WEIGHT_SUFFIX.exec(masked());
+    if (w) {
+      if (weighted) throw new RuleError("Only one ^weight per rule");
+      weight = +w[1];
+      weighted = true;
+      s = s.slice(0, w.index);
+      continue;
+    }
+    const g = GUARD_SUFFIX.exec(masked());
+    if (!g) break;
+    guards.unshift({ word: normalizeTerm(g[1], options), within: g[2] ? +g[2] : DEFAULT_GUARD_WINDOW });
+    s = s.slice(0, g.index);
+  }
+
+  let find;
+  const near = NEAR.exec(masked());
+  if (near) {
+    const a = compileTerm(s.slice(0, near.index), options);
+    const rest = s.slice(near.index + near[0].length);
+    if (NEAR.test(rest.replace(REGEX_LITERAL, (m) => "x".repeat(m.length)))) throw new RuleError("Only one “near” per rule");
+    const b = compileTerm(rest, options);
+    const within = near[1] ? +near[1] : DEFAULT_NEAR_WINDOW;
+    find = (ctx) => {
+      const as = a(ctx);
+      if (!as.length) return [];
+      const bs = b(ctx);
+      if (!bs.length) return [];
+      const words = wordIndex(ctx);
+      const out = [];
+      for (const x of as) {
+        const wx = wordAt(words, x.start);
+        for (const y of bs) {
+          if (Math.abs(wordAt(words, y.start) - wx) <= within) {
+            out.push({ start: Math.min(x.start, y.start), end: Math.max(x.end, y.end) });
+          }
+        }
+      }
+      return out;
+    };
+  } else {
+    find = compileTerm(s, options);
+  }
+
+  if (!guards.length) return { source, weight, find };
+
+  return {
+    source,
+    weight,
+    find: (ctx) => {
+      const hits = find(ctx);
+      if (!hits.length) return hits;
+      const words = wordIndex(ctx);
+      return hits.filter((h) => {
+        const first = wordAt(words, h.start);
+        return !guards.some((g) => {
+          for (let i = Math.max(0, first - g.within); i < first; i++) if (words[i].word === g.word) return true;
+          return false;
+        });
+      });
+    },
+  };
+}
+
+// Error message for an invalid rule, "" when it compiles
+export function validateRule(source) {
+  try {
+    compileRule(source);
+    return "";
+  } catch (e) {
+    if (e instanceof RuleError) return e.message;
+    throw e;
+  }
+}
+
+// keywords { persona: [rule, …] } → { persona: [compiled, …] }; invalid rules are skipped
+export function compileKeywords(keywords, options = NO_NORMALIZATION) {
+  const out = {};
+  for (const [key, list] of Object.entries(keywords || {})) {
+    out[key] = [];
+    for (const source of list || []) {
+      try {
+        out[key].push(compileRule(source, options));
+      } catch (e) {
+        if (!(e instanceof RuleError)) throw e;
+      }
+    }
+  }
+  return out;
+}
+
+// Language packs { lang: { persona: [rule, …] } } → { byLanguage: { lang: compiled }, all }.
+// `all` merges every pack, for entries whose language wasn't detected.
+// Stemming is Dutch, so it only applies to the Dutch pack (and through `all` to undetected entries).
+export function compileKeywordPacks(packs, options = NO_NORMALIZATION) {
+  const byLanguage = {};
+  const all = {};
+  for (const [lang, keywords] of Object.entries(packs || {})) {
+    byLanguage[lang] = compileKeywords(keywords, { ...options, stemming: options.stemming && lang === "nl" });
+    for (const [key, list] of Object.entries(byLanguage[lang])) (all[key] ||= []).push(...list);
+  }
+  return { byLanguage, all };
+}
+
+export const rulesForLanguage = (compiled, lang) => compiled.byLanguage[lang] || compiled.all;
+
+// from/to map normalized offsets back to the original text (null: same offsets), see normalizeText
+export const matchContext = (text, options = NO_NORMALIZATION) => ({ ...normalizeText(text, options), words: null });
+
+// Keyword-list input ("a, b, /x{1,2}/") → rules; commas inside a /regex/ or "quotes" don't split
+export function splitRules(input) {
+  const out = [];
+  let cur = "";
+  let inRegex = false;
+  let inQuote = false;
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (inRegex && c === "\\") {
+      cur += c + (input[i + 1] ?? "");
+      i++;
+      continue;
+    }
+    if (c === "/" && !inQuote && (inRegex || !cur.trim() || /\snear(\/\d+)?\s+$/i.test(cur))) inRegex = !inRegex;
+    else if (c === '"' && !inRegex) inQuote = !inQuote;
+    if (c === "," && !inRegex && !inQuote) {
+      out.push(cur.trim());
+      cur = "";
+      continue;
+    }
+    cur += c;
+  }
+  out.push(cur.trim());
+  return out.filter(Boolean);
+}
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileRule, matchContext, splitRules, validateRule } from "./rules.js";
+
+const matches = (rule, text) => compileRule(rule).find(matchContext(text)).map((h) => text.slice(h.start, h.end).toLowerCase());
+
+test("plain rules match anywhere, quoted ones only as whole words", () => {
+  assert.deepEqual(matches("weer", "Het weerbericht"), ["weer"]);
+  assert.deepEqual(matches('"weer"', "Het weerbericht"), []);
+  assert.deepEqual(matches('"weer"', "Weer kapot, weer!"), ["weer", "weer"]);
+  assert.deepEqual(matches('"klaar mee"', "Ik ben er klaar mee."), ["klaar mee"]);
+});
+
+test("prefix rules match word starts only", () => {
+  assert.deepEqual(matches("frustr*", "Frustrerend en gefrustreerd"), ["frustrerend"]);
+});
+
+test("regex rules are case-insensitive and find every match", () => {
+  assert.deepEqual(matches("/niet (meer )?te/", "niet te doen, niet meer te volgen"), ["niet te", "niet meer te"]);
+});
+
+test("negation guards skip matches preceded by the word within the window", () => {
+  assert.deepEqual(matches("onbetrouwbaar !niet", "echt niet onbetrouwbaar"), []);
+  assert.deepEqual(matches("onbetrouwbaar !niet", "niet dat het zo erg onbetrouwbaar is"), ["onbetrouwbaar"]);
+  assert.deepEqual(matches("onbetrouwbaar !niet:5", "niet dat het zo erg onbetrouwbaar is"), []);
+  assert.deepEqual(matches("onbetrouwbaar !niet", "onbetrouwbaar, niet handig"), ["onbetrouwbaar"]);
+});
+
+test("near rules need both terms within the word distance", () => {
+  assert.deepEqual(matches("app near crash", "de app gaat telkens crash"), ["app gaat telkens crash"]);
+  assert.deepEqual(matches("app near/2 crash", "de app gaat echt telkens crash"), []);
+  assert.deepEqual(matches("crash* near app", "crashes in de app"), ["crashes in de app"]);
+});
+
+test("weights are parsed and guards and weights combine in any order", () => {
+  assert.equal(compileRule("klaar mee ^3").weight, 3);
+  assert.equal(compileRule("klaar mee").weight, 1);
+  const rule = compileRule("onbetrouwbaar ^2 !niet");
+  assert.equal(rule.weight, 2);
+  assert.equal(rule.find(matchContext("niet onbetrouwbaar")).length, 0);
+});
+
+test("invalid rules get a message", () => {
+  assert.equal(validateRule("klaar mee"), "");
+  assert.match(validateRule('"weer'), /Unbalanced quotes/);
+  assert.match(validateRule("fr*str"), /Wildcard/);
+  assert.match(validateRule("/(/"), /Invalid regular expression/);
+  assert.match(validateRule("/x?/"), /empty text/);
+  assert.match(validateRule("a near b near c"), /Only one “near”/);
+  assert.match(validateRule("x ^1 ^2"), /Only one \^weight/);
+});
+
+test("commas inside a regex or quotes don't split rules", () => {
+  assert.deepEqual(splitRules('weer, /x{1,2}/, "ja, nee", app near /a,b/ ,'), ["weer", "/x{1,2}/", '"ja, nee"', "app near /a,b/"]);
+});
@@ -0,0 +1,81 @@
+// --- Spreadsheet import (XLSX / XLS / ODS) via SheetJS, loaded on demand.
+// Sheets become the same row entries the CSV parser returns (header → string value),
+// so they go through the same column mapping and user-period normalization.
+
+const SPREADSHEET_EXT = /\.(xlsx|xlsm|xls|ods)$/i;
+
+export const SPREADSHEET_ACCEPT = ".xlsx,.xlsm,.xls,.ods";
+
+export function isSpreadsheetFile(file) {
+  return SPREADSHEET_EXT.test(file?.name || "");
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Excel serial → "YYYY-MM-DDTHH:MM:SS" without going through the browser timezone
+function serialToIso(XLSX, serial) {
+  const d = XLSX.SSF.parse_date_code(serial);
+  if (!d) return String(serial);
+  return `${d.y}-${pad(d.m)}-${pad(d.d)}T${pad(d.H)}:${pad(d.M)}:${pad(Math.floor(d.S))}`;
+}
+
+function looksLikeDateNumber(XLSX, cell) {
+  if (cell.z && XLSX.SSF.is_date(cell.z)) return true;
+  // ODS exports drop the number format but keep the formatted text
+  return !cell.z && typeof cell.w === "string" && cell.w !== String(cell.v) && /\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}/.test(cell.w);
+}
+
+function cellToString(XLSX, cell) {
+  if (!cell || cell.v === undefined || cell.v === null) return "";
+  if (cell.t === "d") {
+    const d = cell.v instanceof Date ? cell.v : new Date(cell.v);
+    return Number.isNaN(d.getTime()) ? String(cell.v) : d.toISOString().slice(0, 19);
+  }
+  if (cell.t === "n") return looksLikeDateNumber(XLSX, cell) ? serialToIso(XLSX, cell.v) : String(cell.v);
+  if (cell.t === "b") return cell.v ? "1" : "0";
+  if (cell.t === "e") return "";
+  return String(cell.v);
+}
+
+// Parser entries like createCSVParser: { line, row, preview, issue } with line = sheet row number
+function sheetToEntries(XLSX, ws) {
+  if (!ws || !ws["!ref"]) return [];
+  const range = XLSX.utils.decode_range(ws["!ref"]);
+  const read = (r, c) => cellToString(XLSX, ws[XLSX.utils.encode_cell({ r, c })]);
+
+  const header = [];
+  for (let c = range.s.c; c <= range.e.c; c++) header.push(read(range.s.r, c).trim());
+  if (!header.length || header.every((h) => !h)) return [];
+
+  const out = [];
+  for (let r = range.s.r + 1; r <= range.e.r; r++) {
+    const obj = {};
+    const cells = [];
+    let nonEmpty = false;
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const v = read(r, c);
+      cells.push(v);
+      const h = header[c - range.s.c];
+      if (!h) continue;
+      obj[h] = v;
+      if (v.trim() !== "") nonEmpty = true;
+    }
+    if (nonEmpty) out.push({ line: r + 1, row: obj, preview: cells.join(", "), issue: null });
+  }
+  return out;
+}
+
+// Returns { sheetNames, entries(sheetName), lineCount(sheetName) }; throws on unreadable files.
+export async function readWorkbook(arrayBuffer) {
+  const mod = await import("xlsx");
+  const XLSX = mod.SSF ? mod : mod.default; // ESM build vs. CommonJS interop
+  const wb = XLSX.read(arrayBuffer, { type: "array", cellNF: true, cellDates: false });
+  return {
+    sheetNames: wb.SheetNames,
+    entries: (name) => sheetToEntries(XLSX, wb.Sheets[name]),
+    lineCount: (name) => {
+      const ref = wb.Sheets[name]?.["!ref"];
+      return ref ? XLSX.utils.decode_range(ref).e.r + 1 : 0;
+    },
+  };
+}
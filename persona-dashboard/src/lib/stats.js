@@ -0,0 +1,69 @@
+// --- Small-sample statistics for retention rates: Wilson intervals, significance tests and
+// empirical-Bayes smoothing.
+
+// Two-sided tests below this p-value count as significant
+export const SIGNIFICANCE_LEVEL = 0.05;
+const Z_95 = 1.959964;
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26), enough for p-values
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+const twoSided = (z) => 2 * (1 - normalCdf(Math.abs(z)));
+
+// 95% Wilson score interval for `successes` out of `n`; stays inside [0, 1] and is sensible
+// for small n and rates near 0% or 100%, unlike the normal approximation
+export function wilsonInterval(successes, n, z = Z_95) {
+  if (!n) return { low: 0, high: 1 };
+  const p = successes / n;
+  const z2 = z * z;
+  const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+  const half = (z / (1 + z2 / n)) * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n));
+  return { low: Math.max(0, center - half), high: Math.min(1, center + half) };
+}
+
+// Pooled two-proportion z-test: is s1/n1 different from s2/n2? → { z, p }
+export function twoProportionTest(s1, n1, s2, n2) {
+  if (!n1 || !n2) return { z: 0, p: 1 };
+  const pooled = (s1 + s2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (!se) return { z: 0, p: 1 };
+  const z = (s1 / n1 - s2 / n2) / se;
+  return { z, p: twoSided(z) };
+}
+
+// Change between two counts (e.g. persona size this period vs. last), treating both as Poisson:
+// conditional on the total, the new count is binomial with p = ½ under "no change" → { z, p }
+export function countChangeTest(before, after) {
+  const total = before + after;
+  if (!total) return { z: 0, p: 1 };
+  const z = (after - before) / Math.sqrt(total);
+  return { z, p: twoSided(z) };
+}
+
+// --- Empirical-Bayes smoothing (beta-binomial). Each rate is pulled toward its prior mean by
+// `strength` pseudo-observations: small groups move a lot, large ones barely.
+const MIN_STRENGTH = 1;
+const MAX_STRENGTH = 1000;
+
+export const shrinkRate = (successes, n, mean, strength) => (successes + strength * mean) / (n + strength);
+
+// Prior strength by the method of moments: the spread of the observed rates around their means,
+// minus what binomial sampling noise alone would produce. No spread left → maximum smoothing.
+// groups: [{ successes, n, mean }]
+export function estimatePriorStrength(groups) {
+  const used = groups.filter((g) => g.n > 0);
+  const total = used.reduce((sum, g) => sum + g.n, 0);
+  if (used.length < 2 || !total) return MAX_STRENGTH;
+  const observed = used.reduce((sum, g) => sum + g.n * (g.successes / g.n - g.mean) ** 2, 0) / total;
+  const noise = used.reduce((sum, g) => sum + g.mean * (1 - g.mean), 0) / total;
+  const between = observed - noise;
+  const meanMean = used.reduce((sum, g) => sum + g.n * g.mean, 0) / total;
+  if (between <= 0) return MAX_STRENGTH;
+  const strength = (meanMean * (1 - meanMean)) / between - 1;
+  return Math.min(MAX_STRENGTH, Math.max(MIN_STRENGTH, strength));
+}
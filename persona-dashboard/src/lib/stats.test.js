@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { countChangeTest, estimatePriorStrength, normalCdf, shrinkRate, twoProportionTest, wilsonInterval } from "./stats.js";
+
+const close = (actual, expected, digits = 4) => assert.equal(actual.toFixed(digits), expected.toFixed(digits));
+
+test("normal CDF matches the table values", () => {
+  close(normalCdf(0), 0.5);
+  close(normalCdf(1.96), 0.975);
+  close(normalCdf(-1.645), 0.05, 3);
+});
+
+test("Wilson intervals match the textbook values and stay inside [0, 1]", () => {
+  const half = wilsonInterval(5, 10);
+  close(half.low, 0.2366);
+  close(half.high, 0.7634);
+  const none = wilsonInterval(0, 10);
+  assert.equal(none.low, 0);
+  close(none.high, 0.2775);
+  close(wilsonInterval(10, 10).high, 1);
+  assert.deepEqual(wilsonInterval(0, 0), { low: 0, high: 1 });
+});
+
+test("two-proportion test: 50/100 vs 30/100 is significant, equal rates are not", () => {
+  const { z, p } = twoProportionTest(50, 100, 30, 100);
+  close(z, 2.8868);
+  close(p, 0.0039);
+  assert.equal(twoProportionTest(30, 100, 50, 100).p.toFixed(6), p.toFixed(6));
+  assert.equal(twoProportionTest(5, 10, 10, 20).z, 0);
+  close(twoProportionTest(5, 10, 10, 20).p, 1);
+  assert.deepEqual(twoProportionTest(0, 10, 0, 20), { z: 0, p: 1 });
+  assert.deepEqual(twoProportionTest(1, 0, 1, 2), { z: 0, p: 1 });
+});
+
+test("count change test treats both counts as Poisson", () => {
+  const { z, p } = countChangeTest(100, 130);
+  close(z, 30 / Math.sqrt(230));
+  assert.ok(p < 0.05 && p > 0.04);
+  assert.deepEqual(countChangeTest(0, 0), { z: 0, p: 1 });
+});
+
+test("smoothing pulls small groups toward the mean more than large ones", () => {
+  assert.equal(shrinkRate(1, 2, 0.5, 10), 0.5);
+  const small = shrinkRate(2, 2, 0.5, 10);
+  const large = shrinkRate(200, 200, 0.5, 10);
+  assert.ok(small < 0.6 && large > 0.97);
+});
+
+test("prior strength: no spread beyond noise smooths fully, a real spread barely", () => {
+  const same = { successes: 50, n: 100, mean: 0.5 };
+  assert.equal(estimatePriorStrength([same, same]), 1000);
+  assert.equal(estimatePriorStrength([same]), 1000);
+  const apart = [
+    { successes: 90, n: 100, mean: 0.5 },
+    { successes: 10, n: 100, mean: 0.5 },
+  ];
+  assert.equal(estimatePriorStrength(apart), 1);
+});
@@ -0,0 +1,83 @@
+// --- Persona transitions: where users who gave feedback in period M stand in period M+1. States
+// are the personas, Unclassified, "active, no feedback" (present but nothing to classify) and
+// Churned (not active next period).
+
+import { nextPeriod } from "./periods.js";
+import { UNCLASSIFIED } from "./personas.js";
+
+export const SILENT = {
+  key: "__silent__",
+  label: "Active, no feedback",
+  color: "#cbd5e1", // slate-300
+};
+export const CHURNED = {
+  key: "__churned__",
+  label: "Churned",
+  color: "#334155", // slate-700
+};
+
+// One state per entry: its persona (the highest-priority one in multi-label mode) or Unclassified
+const stateOf = (entry) => entry.personas[0] || UNCLASSIFIED.key;
+
+// entries: [{ user_id, period, personas, active }] as counted in the main aggregates.
+// from: a period, or null for every consecutive pair. Returns
+// { rows, columns, cells: { from: { to: [{ user_id, period }] } }, totals: { from: n }, pairs }
+// with `period` the M of each transition and `pairs` the number of M → M+1 steps included.
+// The latest period is left out: nobody can be seen in its next period yet, so all would "churn".
+export function transitionMatrix({ entries, personaKeys, from = null, granularity }) {
+  const byUserPeriod = new Map();
+  let lastPeriod = "";
+  for (const e of entries) {
+    byUserPeriod.set(`${e.user_id}__${e.period}`, e);
+    if (e.period > lastPeriod) lastPeriod = e.period;
+  }
+
+  const rows = [...personaKeys, UNCLASSIFIED.key];
+  const columns = [...rows, SILENT.key, CHURNED.key];
+  const cells = {};
+  const totals = {};
+  for (const r of rows) {
+    cells[r] = {};
+    totals[r] = 0;
+    for (const c of columns) cells[r][c] = [];
+  }
+
+  const steps = new Set();
+  for (const e of entries) {
+    if ((from && e.period !== from) || e.period === lastPeriod) continue;
+    const source = stateOf(e);
+    if (!cells[source]) continue; // persona removed since the override was set
+    const next = byUserPeriod.get(`${e.user_id}__${nextPeriod(e.period, granularity)}`);
+    let target = e.active ? SILENT.key : CHURNED.key;
+    if (next) target = stateOf(next);
+    if (!cells[source][target]) target = UNCLASSIFIED.key;
+    cells[source][target].push({ user_id: e.user_id, period: e.period });
+    totals[source]++;
+    steps.add(e.period);
+  }
+
+  return { rows, columns, cells, totals, pairs: steps.size };
+}
+
+// Sankey input for recharts: M states on the left, M+1 states on the right, empty ones dropped.
+// Node payloads carry { key, side } so the chart can color them; labelFor names them for tooltips.
+export function transitionFlows(matrix, labelFor = (key) => key) {
+  const nodes = [];
+  const index = new Map();
+  const nodeFor = (key, side) => {
+    const id = `${side}:${key}`;
+    if (!index.has(id)) {
+      index.set(id, nodes.length);
+      nodes.push({ name: labelFor(key), key, side });
+    }
+    return index.get(id);
+  };
+  const links = [];
+  for (const r of matrix.rows) {
+    for (const c of matrix.columns) {
+      const value = matrix.cells[r][c].length;
+      if (value) links.push({ source: nodeFor(r, "from"), target: nodeFor(c, "to"), value, from: r, to: c });
+    }
+  }
+  return { nodes, links };
+}
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CHURNED, SILENT, transitionFlows, transitionMatrix } from "./transitions.js";
+import { UNCLASSIFIED } from "./personas.js";
+
+const entries = [
+  { user_id: "u1", period: "2025-08", personas: ["a"], active: true },
+  { user_id: "u1", period: "2025-09", personas: ["b"], active: true },
+  { user_id: "u2", period: "2025-08", personas: ["a"], active: true },
+  { user_id: "u3", period: "2025-08", personas: [], active: false },
+  { user_id: "u1", period: "2025-10", personas: ["b"], active: false },
+];
+const ids = (cell) => cell.map((c) => c.user_id);
+
+test("each entry moves to its next-period persona, silent or churned", () => {
+  const m = transitionMatrix({ entries, personaKeys: ["a", "b"], from: "2025-08", granularity: "month" });
+  assert.deepEqual(m.rows, ["a", "b", UNCLASSIFIED.key]);
+  assert.deepEqual(ids(m.cells.a.b), ["u1"]);
+  assert.deepEqual(ids(m.cells.a[SILENT.key]), ["u2"]);
+  assert.deepEqual(ids(m.cells[UNCLASSIFIED.key][CHURNED.key]), ["u3"]);
+  assert.deepEqual(m.totals, { a: 2, b: 0, [UNCLASSIFIED.key]: 1 });
+  assert.equal(m.pairs, 1);
+});
+
+test("all pairs leave out the latest period, which has no next period yet", () => {
+  const m = transitionMatrix({ entries, personaKeys: ["a", "b"], granularity: "month" });
+  assert.equal(m.pairs, 2);
+  assert.deepEqual(ids(m.cells.b.b), ["u1"]);
+  assert.equal(m.totals.b, 1);
+});
+
+test("flows drop empty cells and label nodes per side", () => {
+  const m = transitionMatrix({ entries, personaKeys: ["a", "b"], from: "2025-08", granularity: "month" });
+  const { nodes, links } = transitionFlows(m, (k) => k.toUpperCase());
+  assert.equal(links.length, 3);
+  assert.deepEqual(nodes[0], { name: "A", key: "a", side: "from" });
+  assert.equal(links.reduce((sum, l) => sum + l.value, 0), 3);
+});
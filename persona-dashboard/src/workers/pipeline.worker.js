@@ -0,0 +1,358 @@
+// --- Pipeline worker: reading/parsing uploads, user-period normalization and persona
+// classification run here so large exports don't block the UI.
+//
+// Two dataset slots: "feedback" (the texts that get classified) and "activity"
+// (optional user activity log; when loaded it is the retention source of truth).
+//
+// main → worker:
+//   { type: "loadText", jobId, text }                    pasted / sample feedback CSV
+//   { type: "loadFile", jobId, file, target }            upload (streamed in chunks)
+//   { type: "selectSheet", jobId, sheet, target }        switch sheet of a loaded workbook
+//   { type: "clearActivity", jobId }                     drop the activity log
+//   { type: "classify", jobId, mapping, activityMapping, granularity, timeZone, keywords, personaKeys, model, normalization }
+//                                                        keywords: language packs { lang: { persona: [rule] } }
+//                                                        normalization: text normalization options (normalize.js)
+//                                                        model: trained classifier JSON or null
+//   { type: "rejectedRows", jobId }                      all rejected feedback rows for download
+//   { type: "cancel" }                                   stop the running loads, keep the previous data
+// worker → main: progress | dataset | classified (+ import report, presence) | rejectedRows | cancelled | error
+// (presence: Set of "user__period" keys behind next-period retention, for the cohort view)
+// (all carry jobId; load replies also carry their target)
+//
+// Each target has its own load slot: an activity upload doesn't cancel a feedback load in flight,
+// only a newer load for the same target does.
+
+import { createCSVParser } from "../lib/csv.js";
+import { isJsonFile, parseJSONEntries } from "../lib/jsonImport.js";
+import { isSpreadsheetFile, readWorkbook } from "../lib/spreadsheet.js";
+import { buildActivityPresence, buildPresence, classifyRow, normalizationImpact, toUserPeriodRows } from "../lib/pipeline.js";
+import { compileKeywordPacks } from "../lib/rules.js";
+import { createPredictor } from "../lib/classifier.js";
+import { NORMALIZATION_STEPS } from "../lib/normalize.js";
+import { DEFAULT_TIME_ZONE } from "../lib/dates.js";
+
+const CHUNK_SIZE = 1024 * 1024;
+const TEXT_PREVIEW_LIMIT = 512 * 1024; // larger files are shown read-only and truncated
+const CLASSIFY_BATCH = 5000;
+const PREVIEW_ROWS = 5;
+const REPORT_SAMPLES = 50; // rejected rows per reason shown in the report
+const CELL_LIMIT = 32000; // keep exported previews below the spreadsheet cell limit
+
+class Cancelled extends Error {}
+
+// Parser entries ({ line, row, preview, issue }); `rows` are the structurally valid ones
+const emptySlot = () => ({
+  entries: [],
+  rows: [],
+  rowEntries: [],
+  source: { kind: "csv", totalLines: 0 },
+  book: null,
+  version: 0,
+});
+const slots = { feedback: emptySlot(), activity: emptySlot() };
+
+let datasetVersion = 0;
+let userPeriods = { key: "", version: -1, rows: [], presence: new Set(), rejected: [], report: null };
+let activity = { key: "", version: -1, presence: null, users: new Set(), dropped: 0 };
+let impact = { key: "", value: null }; // normalization impact, see classify
+const activeLoads = { feedback: 0, activity: 0 }; // target → jobId of the load in flight
+const cancelRequested = new Set(); // jobIds
+let latestClassify = 0;
+
+const post = (msg) => self.postMessage(msg);
+const yieldToEvents = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function checkLoad(jobId, target) {
+  if (cancelRequested.has(jobId) || activeLoads[target] !== jobId) throw new Cancelled();
+}
+
+const endLoad = (jobId, target) => {
+  if (activeLoads[target] === jobId) activeLoads[target] = 0;
+  cancelRequested.delete(jobId);
+};
+
+function commit(jobId, target, origin, parsedEntries, totalLines, meta) {
+  const slot = slots[target];
+  slot.entries = parsedEntries;
+  slot.rowEntries = parsedEntries.filter((e) => !e.issue);
+  slot.rows = slot.rowEntries.map((e) => e.row);
+  slot.source = { kind: meta.kind || "csv", totalLines };
+  slot.version = ++datasetVersion;
+  endLoad(jobId, target);
+  post({
+    type: "dataset",
+    jobId,
+    target,
+    dataset: {
+      target,
+      origin,
+      version: slot.version,
+      headers: slot.rows.length ? Object.keys(slot.rows[0]) : [],
+      preview: slot.rows.slice(0, PREVIEW_ROWS),
+      rowCount: slot.rows.length,
+      kind: "csv",
+      sheetNames: [],
+      sheet: "",
+      text: "",
+      textTruncated: false,
+      ...meta,
+    },
+  });
+}
+
+function loadText(jobId, text) {
+  activeLoads.feedback = jobId;
+  const parser = createCSVParser();
+  const parsed = [...parser.push(text), ...parser.end()];
+  commit(jobId, "feedback", "text", parsed, parser.lineCount(), { text });
+}
+
+async function loadFile(jobId, file, target) {
+  activeLoads[target] = jobId;
+  const total = file.size;
+  const report = (phase, loaded) => post({ type: "progress", jobId, target, phase, loaded, total });
+
+  if (isSpreadsheetFile(file)) {
+    report("reading", 0);
+    const buf = await file.arrayBuffer();
+    checkLoad(jobId, target);
+    report("parsing", total);
+    const book = await readWorkbook(buf);
+    checkLoad(jobId, target);
+    // First sheet that has data; the picker lets you switch
+    const sheet = book.sheetNames.find((n) => book.entries(n).length) || book.sheetNames[0];
+    slots[target].book = book;
+    commit(jobId, target, "file", book.entries(sheet), book.lineCount(sheet), {
+      kind: "sheet",
+      sheetNames: book.sheetNames,
+      sheet,
+    });
+    return;
+  }
+
+  const json = isJsonFile(file);
+  const parser = json ? null : createCSVParser();
+  const decoder = new TextDecoder();
+  const parsed = [];
+  let jsonText = ""; // JSON needs the whole document; CSV only keeps a preview
+  let preview = "";
+
+  const feed = (chunk) => {
+    if (preview.length < TEXT_PREVIEW_LIMIT) preview += chunk.slice(0, TEXT_PREVIEW_LIMIT - preview.length);
+    if (json) jsonText += chunk;
+    else for (const r of parser.push(chunk)) parsed.push(r);
+  };
+
+  report("reading", 0);
+  for (let offset = 0; offset < total; offset += CHUNK_SIZE) {
+    const buf = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    await yieldToEvents(); // let a "cancel" message in
+    checkLoad(jobId, target);
+    feed(decoder.decode(buf, { stream: true }));
+    report("reading", Math.min(offset + CHUNK_SIZE, total));
+  }
+  feed(decoder.decode());
+
+  let totalLines;
+  if (json) {
+    report("parsing", total);
+    for (const r of parseJSONEntries(jsonText)) parsed.push(r);
+    totalLines = parsed.length;
+  } else {
+    for (const r of parser.end()) parsed.push(r);
+    totalLines = parser.lineCount();
+  }
+
+  slots[target].book = null;
+  commit(jobId, target, "file", parsed, totalLines, {
+    kind: json ? "json" : "csv",
+    text: preview,
+    textTruncated: total > TEXT_PREVIEW_LIMIT,
+  });
+}
+
+function selectSheet(jobId, sheet, target) {
+  const book = slots[target].book;
+  if (!book) return;
+  activeLoads[target] = jobId;
+  commit(jobId, target, "sheet", book.entries(sheet), book.lineCount(sheet), {
+    kind: "sheet",
+    sheetNames: book.sheetNames,
+    sheet,
+  });
+}
+
+// Also stops an activity upload in flight; a feedback load carries on
+function clearActivity(jobId) {
+  activeLoads.activity = 0;
+  slots.activity = emptySlot();
+  slots.activity.version = ++datasetVersion;
+  post({ type: "dataset", jobId, target: "activity", dataset: null });
+}
+
+// Parse-stage issues plus rows dropped during normalization, in source order
+function collectRejected(normalizeRejected) {
+  const { entries, rowEntries } = slots.feedback;
+  const list = [];
+  for (const e of entries) {
+    if (e.issue) list.push({ line: e.line, reason: e.issue.reason, detail: e.issue.detail, preview: e.preview });
+  }
+  for (const r of normalizeRejected) {
+    const e = rowEntries[r.index];
+    list.push({ line: e.line, reason: r.reason, detail: r.detail, preview: e.preview });
+  }
+  return list.sort((a, b) => a.line - b.line);
+}
+
+function buildReport(rejected, accepted, userPeriodCount, dates) {
+  const { entries, source } = slots.feedback;
+  const groups = new Map();
+  for (const r of rejected) {
+    if (!groups.has(r.reason)) groups.set(r.reason, { reason: r.reason, count: 0, samples: [] });
+    const g = groups.get(r.reason);
+    g.count++;
+    if (g.samples.length < REPORT_SAMPLES) g.samples.push({ ...r, preview: r.preview.slice(0, 300) });
+  }
+  return {
+    kind: source.kind,
+    totalLines: source.totalLines,
+    dataRows: entries.length,
+    accepted,
+    rejected: rejected.length,
+    userPeriods: userPeriodCount,
+    dates,
+    groups: Array.from(groups.values()),
+  };
+}
+
+// Feedback users vs. activity log users (shown in Data health)
+function activityStats(up) {
+  if (!activity.presence) return null;
+  const feedbackUsers = new Set(up.map((r) => r.user_id));
+  let matched = 0;
+  for (const u of feedbackUsers) if (activity.users.has(u)) matched++;
+  let activityOnly = 0;
+  for (const u of activity.users) if (!feedbackUsers.has(u)) activityOnly++;
+  return {
+    activityRows: slots.activity.rows.length,
+    droppedRows: activity.dropped,
+    activityUsers: activity.users.size,
+    feedbackUsers: feedbackUsers.size,
+    matched,
+    unmatched: feedbackUsers.size - matched,
+    activityOnly,
+  };
+}
+
+async function classify(jobId, { mapping, activityMapping, granularity, timeZone, keywords, personaKeys, model, normalization }) {
+  latestClassify = jobId;
+  const feedback = slots.feedback;
+
+  // Normalization only depends on data, mapping, granularity and timezone; keyword edits reuse it
+  const key = JSON.stringify([mapping, granularity, timeZone]);
+  if (userPeriods.key !== key || userPeriods.version !== feedback.version) {
+    const { userPeriods: up, rejected: dropped, accepted, dateFormat } = toUserPeriodRows(
+      feedback.rows,
+      mapping,
+      granularity,
+      timeZone
+    );
+    const rejected = collectRejected(dropped);
+    userPeriods = {
+      key,
+      version: feedback.version,
+      rows: up,
+      presence: buildPresence(up),
+      rejected,
+      report: buildReport(rejected, accepted, up.length, {
+        format: mapping.date_format || "auto",
+        detected: dateFormat,
+        timeZone,
+        sourceTimeZone: mapping.source_time_zone || DEFAULT_TIME_ZONE,
+      }),
+    };
+  }
+
+  const activityKey = JSON.stringify([activityMapping || null, granularity, timeZone]);
+  if (activity.key !== activityKey || activity.version !== slots.activity.version) {
+    const built = activityMapping && slots.activity.rows.length
+      ? buildActivityPresence(slots.activity.rows, activityMapping, granularity, timeZone)
+      : { presence: null, users: new Set(), dropped: 0 };
+    activity = { key: activityKey, version: slots.activity.version, ...built };
+  }
+
+  const { rows: up, report } = userPeriods;
+  const options = {
+    presence: activity.presence || userPeriods.presence,
+    granularity,
+    explicitRetention: !activity.presence,
+    packs: compileKeywordPacks(keywords, normalization),
+    personaKeys,
+    normalization,
+    predict: model ? createPredictor(model) : null,
+  };
+  const out = [];
+  for (let i = 0; i < up.length; i++) {
+    if (i && i % CLASSIFY_BATCH === 0) {
+      post({ type: "progress", jobId, phase: "classifying", loaded: i, total: up.length });
+      await yieldToEvents();
+      if (jobId !== latestClassify) return; // superseded by a newer request
+    }
+    out.push(classifyRow(up[i], options));
+  }
+  // The impact of each normalization step takes extra passes over the data: only redo it when the
+  // steps or the dataset change, not on every rules edit or override. Nothing enabled, nothing to show.
+  const impactKey = JSON.stringify([normalization, userPeriods.key, userPeriods.version]);
+  if (impact.key !== impactKey) {
+    await yieldToEvents();
+    if (jobId !== latestClassify) return;
+    const enabled = NORMALIZATION_STEPS.some((step) => normalization[step.key]);
+    impact = { key: impactKey, value: enabled ? normalizationImpact(out, keywords, personaKeys, normalization) : null };
+  }
+  post({
+    type: "classified",
+    jobId,
+    rows: out,
+    presence: options.presence,
+    report: { ...report, activity: activityStats(up), normalization: impact.value },
+  });
+}
+
+function rejectedRows(jobId) {
+  const list = userPeriods.rejected.map((r) => ({
+    line: r.line,
+    reason: r.reason,
+    detail: r.detail,
+    row: r.preview.slice(0, CELL_LIMIT),
+  }));
+  post({ type: "rejectedRows", jobId, rows: list });
+}
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  if (msg.type === "cancel") {
+    for (const jobId of Object.values(activeLoads)) if (jobId) cancelRequested.add(jobId);
+    return;
+  }
+  const target = msg.type === "clearActivity" ? "activity" : msg.target || "feedback";
+
+  const run = async () => {
+    if (msg.type === "loadText") loadText(msg.jobId, msg.text || "");
+    else if (msg.type === "loadFile") await loadFile(msg.jobId, msg.file, target);
+    else if (msg.type === "selectSheet") selectSheet(msg.jobId, msg.sheet, target);
+    else if (msg.type === "clearActivity") clearActivity(msg.jobId);
+    else if (msg.type === "classify") await classify(msg.jobId, msg);
+    else if (msg.type === "rejectedRows") rejectedRows(msg.jobId);
+  };
+
+  run().catch((err) => {
+    if (err instanceof Cancelled) {
+      // Superseded loads end silently; the UI already follows the newer one
+      if (cancelRequested.has(msg.jobId)) post({ type: "cancelled", jobId: msg.jobId, target });
+      endLoad(msg.jobId, target);
+      return;
+    }
+    endLoad(msg.jobId, target);
+    post({ type: "error", jobId: msg.jobId, target, message: err?.message || String(err) });
+  });
+};
@@ -5,6 +5,9 @@ import path from "path";
 export default defineConfig({
   base: "/Persona-retention-dashboard/", // push dit 
   plugins: [react()],
+  worker: {
+    format: "es", // the pipeline worker lazy-loads xlsx (code splitting needs ES modules)
+  },
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),